@@ -0,0 +1,276 @@
+/**
+ * Rescore past wykop-index runs with the current sentiment prompt.
+ *
+ * Walks the tag stream backwards, rebuilds the 12h window each scheduled run (07:10 and 19:10 UTC
+ * on weekdays) would have analysed and writes the results to the `sentiment_rescored` table,
+ * leaving the live `sentiment` series untouched.
+ *
+ * Usage:
+ *   npm run backfill -- --from 2026-09-01 --to 2026-09-30 [--tag gielda] [--force] [--dry-run]
+ *
+ * Requires APPWRITE_API_KEY, GEMINI_API_KEY, WYKOP_API_KEY and WYKOP_API_SECRET in the environment.
+ * Votes and comments are fetched as they are today, not as they were at the time of the run.
+ */
+import { parseArgs } from 'node:util';
+import * as sdk from 'node-appwrite';
+import { GoogleGenAI } from '@google/genai';
+import { cleanJsonResponse, validateSchema, parsePosts, aggregateClassifications, assertClassifiedShare, mapWithConcurrency } from '../src/utils.js';
+import { fetchAllComments, hasTruncatedComments } from '../src/wykop.js';
+import { TAG_CONFIGS, DEFAULT_TAG } from '../src/tags.js';
+import { scoreCorpus } from '../src/lexicon.js';
+import { PRIMARY_MODEL, BACKUP_MODEL, SYSTEM_INSTRUCTION, buildSentimentPrompt, SENTIMENT_SCHEMA } from '../src/sentiment.js';
+import { loadSlang } from '../src/slang.js';
+
+const DATABASE_ID = '69617178003ac8ef4fba';
+const RESCORED_COLLECTION = 'sentiment_rescored';
+
+// Mirrors the wykop-index schedule in appwrite.config.json ("10 7,19 * * 1-5", UTC)
+const RUN_HOURS_UTC = [7, 19];
+const RUN_MINUTE_UTC = 10;
+const RUN_WEEKDAYS = [1, 2, 3, 4, 5];
+const WINDOW_HOURS = 12;
+
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 30000;
+const PAGE_DELAY_MS = 500;
+const COMMENT_FETCH_CONCURRENCY = 3;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Convert a Wykop timestamp (Europe/Warsaw local time, "YYYY-MM-DD HH:MM:SS") to a UTC Date.
+ * The offset is resolved per timestamp, so windows spanning a DST change stay correct.
+ * @param {string} createdAt
+ * @returns {Date}
+ */
+const parseWykopDate = (createdAt) => {
+  const asUtc = new Date(createdAt.replace(' ', 'T') + 'Z');
+  const warsaw = new Date(asUtc.toLocaleString('en-US', { timeZone: 'Europe/Warsaw' }));
+  const utc = new Date(asUtc.toLocaleString('en-US', { timeZone: 'UTC' }));
+  return new Date(asUtc.getTime() - (warsaw.getTime() - utc.getTime()));
+};
+
+/**
+ * List the scheduled run times between two dates (inclusive, UTC days) that are already in the past.
+ * @param {string} from  YYYY-MM-DD
+ * @param {string} to  YYYY-MM-DD
+ * @returns {Date[]}
+ */
+const getScheduledRuns = (from, to) => {
+  const runs = [];
+  const end = new Date(`${to}T00:00:00Z`);
+  for (let day = new Date(`${from}T00:00:00Z`); day <= end; day = new Date(day.getTime() + 24 * 60 * 60 * 1000)) {
+    if (!RUN_WEEKDAYS.includes(day.getUTCDay())) continue;
+    for (const hour of RUN_HOURS_UTC) {
+      const runAt = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hour, RUN_MINUTE_UTC));
+      if (runAt <= new Date()) runs.push(runAt);
+    }
+  }
+  return runs;
+};
+
+const { values: args } = parseArgs({
+  options: {
+    from: { type: 'string' },
+    to: { type: 'string' },
+    tag: { type: 'string', default: DEFAULT_TAG },
+    force: { type: 'boolean', default: false },
+    'dry-run': { type: 'boolean', default: false },
+  },
+});
+
+const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+if (!datePattern.test(args.from ?? '') || !datePattern.test(args.to ?? '') || args.from > args.to) {
+  console.error('Usage: npm run backfill -- --from YYYY-MM-DD --to YYYY-MM-DD [--tag gielda] [--force] [--dry-run]');
+  process.exit(1);
+}
+if (!(args.tag in TAG_CONFIGS)) {
+  console.error(`Unknown tag: ${args.tag}. Known tags: ${Object.keys(TAG_CONFIGS).join(', ')}`);
+  process.exit(1);
+}
+
+const tag = args.tag;
+const dryRun = args['dry-run'];
+const runs = getScheduledRuns(args.from, args.to);
+if (runs.length === 0) {
+  console.log('No scheduled runs in the given range');
+  process.exit(0);
+}
+console.log(`Rescoring ${runs.length} runs of #${tag} between ${runs[0].toISOString()} and ${runs[runs.length - 1].toISOString()}${dryRun ? ' (dry run)' : ''}`);
+
+const client = new sdk.Client()
+  .setEndpoint('https://fra.cloud.appwrite.io/v1')
+  .setProject('wykopindex')
+  .setKey(process.env.APPWRITE_API_KEY);
+const tablesDB = new sdk.TablesDB(client);
+const ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+
+// Current approved slang, with the same built-in fallback as the live function
+const slang = await loadSlang(tablesDB, DATABASE_ID);
+
+// --- WYKOP AUTH ---
+
+const authResponse = await fetch('https://wykop.pl/api/v3/auth', {
+  method: 'POST',
+  headers: {
+    'accept': 'application/json',
+    'Content-Type': 'application/json'
+  },
+  body: JSON.stringify({
+    data: {
+      key: process.env.WYKOP_API_KEY,
+      secret: process.env.WYKOP_API_SECRET
+    }
+  })
+});
+if (!authResponse.ok) {
+  throw new Error(`Wykop auth failed: ${authResponse.status} ${await authResponse.text()}`);
+}
+const wykopToken = (await authResponse.json()).data.token;
+
+// --- STREAM WALK ---
+// The stream is sorted newest first, so pages are read until they go past the earliest window
+
+const earliestWindowStart = new Date(runs[0].getTime() - WINDOW_HOURS * 60 * 60 * 1000);
+const latestRunAt = runs[runs.length - 1];
+const collectedEntries = [];
+
+for (let page = 1; ; page++) {
+  const response = await fetch(`https://wykop.pl/api/v3/tags/${tag}/stream?page=${page}&limit=50&sort=all&type=all&multimedia=false`, {
+    method: 'GET',
+    headers: {
+      'accept': 'application/json',
+      'Authorization': `Bearer ${wykopToken}`
+    }
+  });
+  if (!response.ok) {
+    throw new Error(`Wykop stream fetch failed on page ${page}: ${response.status} ${await response.text()}`);
+  }
+
+  const entries = (await response.json()).data;
+  if (!entries || entries.length === 0) {
+    console.log(`Reached the end of the stream on page ${page}`);
+    break;
+  }
+
+  for (const entry of entries) {
+    const createdAt = parseWykopDate(entry.created_at);
+    if (createdAt >= earliestWindowStart && createdAt < latestRunAt) {
+      collectedEntries.push({ entry, createdAt });
+    }
+  }
+
+  const oldestOnPage = parseWykopDate(entries[entries.length - 1].created_at);
+  if (page % 10 === 0) {
+    console.log(`Page ${page}: reached ${oldestOnPage.toISOString()}, ${collectedEntries.length} entries collected`);
+  }
+  if (oldestOnPage < earliestWindowStart) break;
+  await sleep(PAGE_DELAY_MS);
+}
+
+console.log(`Collected ${collectedEntries.length} entries`);
+
+// Same as the live function: analyse whole comment threads, not the stream previews
+const truncatedEntries = collectedEntries.map(({ entry }) => entry).filter(hasTruncatedComments);
+console.log(`Fetching full comment threads for ${truncatedEntries.length} entries`);
+await mapWithConcurrency(truncatedEntries, COMMENT_FETCH_CONCURRENCY, async (entry) => {
+  try {
+    entry.comments.items = await fetchAllComments(wykopToken, entry.id);
+  } catch (err) {
+    console.error(`Failed to fetch comments of entry ${entry.id}, keeping the preview: ${err.message}`);
+  }
+});
+
+// --- RESCORING ---
+
+// Same checks as the live function, so a mostly unlabelled response is retried instead of saved as a neutral score
+const analyze = async (prompt, parsedData) => {
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const model = attempt === MAX_ATTEMPTS ? BACKUP_MODEL : PRIMARY_MODEL;
+    try {
+      const response = await ai.models.generateContent({
+        model: model,
+        contents: prompt,
+        config: {
+          httpOptions: {
+            timeout: 120000,
+          },
+          systemInstruction: SYSTEM_INSTRUCTION,
+          tools: [{ urlContext: {} }],
+        },
+      });
+
+      const result = cleanJsonResponse(response.text);
+      const schemaErrors = validateSchema(result, SENTIMENT_SCHEMA);
+      if (schemaErrors.length > 0) {
+        throw new Error("AI response doesn't match expected schema: " + schemaErrors.join(', '));
+      }
+      const weightedSentiment = aggregateClassifications(result.classifications, parsedData);
+      const { classified, total } = assertClassifiedShare(weightedSentiment);
+      return { result, model, weightedSentiment, classified, total };
+    } catch (err) {
+      if (attempt === MAX_ATTEMPTS) throw err;
+      console.log(`Attempt ${attempt} failed: ${err.message}. Retrying in ${RETRY_DELAY_MS / 1000}s...`);
+      await sleep(RETRY_DELAY_MS);
+    }
+  }
+};
+
+let failed = 0;
+for (const runAt of runs) {
+  const runId = runAt.toISOString();
+  try {
+    const existing = dryRun ? null : (await tablesDB.listRows({
+      databaseId: DATABASE_ID,
+      tableId: RESCORED_COLLECTION,
+      queries: [
+        sdk.Query.equal('tag', tag),
+        sdk.Query.equal('runAt', runId),
+        sdk.Query.limit(1)
+      ]
+    })).rows[0];
+    if (existing && !args.force) {
+      console.log(`${runId}: already rescored, skipping (use --force to overwrite)`);
+      continue;
+    }
+
+    const windowStart = new Date(runAt.getTime() - WINDOW_HOURS * 60 * 60 * 1000);
+    const windowEntries = collectedEntries
+      .filter(({ createdAt }) => createdAt >= windowStart && createdAt < runAt)
+      .map(({ entry }) => entry);
+    if (windowEntries.length === 0) {
+      console.log(`${runId}: no entries in the window, skipping`);
+      continue;
+    }
+
+    const parsedData = parsePosts(windowEntries);
+    const lexiconResult = scoreCorpus(parsedData);
+    const { result, model, weightedSentiment, classified, total } = await analyze(buildSentimentPrompt(tag, parsedData, slang), parsedData);
+
+    console.log(`${runId}: ${weightedSentiment.score} (lexicon: ${lexiconResult.score}, ${parsedData.length} entries, ${classified} of ${total} items classified, ${model})`);
+    if (dryRun) continue;
+
+    const data = {
+      tag: tag,
+      runAt: runId,
+      sentiment: weightedSentiment.score,
+      lexiconSentiment: lexiconResult.score,
+      summary: result.summary,
+      labelDistribution: JSON.stringify(weightedSentiment.distribution),
+      entriesAnalyzed: parsedData.length,
+      model: model
+    };
+
+    if (existing) {
+      await tablesDB.updateRow({ databaseId: DATABASE_ID, tableId: RESCORED_COLLECTION, rowId: existing.$id, data });
+    } else {
+      await tablesDB.createRow({ databaseId: DATABASE_ID, tableId: RESCORED_COLLECTION, rowId: sdk.ID.unique(), data });
+    }
+  } catch (err) {
+    failed++;
+    console.error(`${runId}: failed to rescore: ${err.message}`);
+  }
+}
+
+console.log(`Done: ${runs.length - failed} of ${runs.length} runs processed`);
+if (failed > 0) process.exit(1);
@@ -0,0 +1,98 @@
+/**
+ * Load historical daily closes of a benchmark into the `prices` table.
+ *
+ * The wykop-index function only syncs the last few weeks, so longer history for the site backtest
+ * is imported here, either from a CSV file (e.g. a Stooq or Yahoo export) or from the price provider.
+ *
+ * Usage:
+ *   npm run import-prices -- --benchmark wig20 --file wig20_d.csv
+ *   npm run import-prices -- --benchmark sp500 --from 2025-01-01 [--provider stooq] [--dry-run]
+ *
+ * CSV files need a header with a date column (Date/Data) and a close column (Close/Zamkniecie).
+ * Requires APPWRITE_API_KEY in the environment.
+ */
+import { parseArgs } from 'node:util';
+import { readFile } from 'node:fs/promises';
+import * as sdk from 'node-appwrite';
+import { BENCHMARKS, getDailyCloses, getPriceRowId } from '../src/prices.js';
+
+const DATABASE_ID = '69617178003ac8ef4fba';
+const PRICES_COLLECTION = 'prices';
+
+const BATCH_SIZE = 100;
+
+const DATE_COLUMNS = ['date', 'data'];
+const CLOSE_COLUMNS = ['close', 'zamkniecie', 'adj close'];
+
+/**
+ * Parse daily closes from CSV text, detecting the date and close columns from the header.
+ * @param {string} text
+ * @returns {{ date: string, close: number }[]}
+ */
+const parseCsv = (text) => {
+  const [header, ...lines] = text.trim().split(/\r?\n/);
+  const separator = header.includes(';') ? ';' : ',';
+  const columns = header.split(separator).map(column => column.trim().replace(/^"|"$/g, '').toLowerCase());
+  const dateIndex = columns.findIndex(column => DATE_COLUMNS.includes(column));
+  const closeIndex = columns.findIndex(column => CLOSE_COLUMNS.includes(column));
+  if (dateIndex === -1 || closeIndex === -1) {
+    throw new Error(`CSV header must contain a date and a close column, got: ${header}`);
+  }
+
+  return lines
+    .map(line => line.split(separator))
+    .map(cells => ({ date: cells[dateIndex]?.trim().slice(0, 10), close: parseFloat(cells[closeIndex]) }))
+    .filter(row => /^\d{4}-\d{2}-\d{2}$/.test(row.date) && !Number.isNaN(row.close));
+};
+
+const { values: args } = parseArgs({
+  options: {
+    benchmark: { type: 'string' },
+    file: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    provider: { type: 'string' },
+    'dry-run': { type: 'boolean', default: false },
+  },
+});
+
+if (!args.benchmark || (!args.file && !args.from)) {
+  console.error('Usage: npm run import-prices -- --benchmark wig20 (--file prices.csv | --from YYYY-MM-DD [--to YYYY-MM-DD] [--provider yahoo]) [--dry-run]');
+  process.exit(1);
+}
+if (!BENCHMARKS[args.benchmark]) {
+  console.error(`Unknown benchmark: ${args.benchmark}. Known benchmarks: ${Object.keys(BENCHMARKS).join(', ')}`);
+  process.exit(1);
+}
+
+const closes = args.file
+  ? parseCsv(await readFile(args.file, 'utf8'))
+  : await getDailyCloses(args.benchmark, new Date(`${args.from}T00:00:00Z`), args.to ? new Date(`${args.to}T00:00:00Z`) : new Date(), args.provider);
+
+if (closes.length === 0) {
+  console.log('No closes to import');
+  process.exit(0);
+}
+console.log(`Importing ${closes.length} closes of ${BENCHMARKS[args.benchmark].name} between ${closes[0].date} and ${closes[closes.length - 1].date}${args['dry-run'] ? ' (dry run)' : ''}`);
+
+if (args['dry-run']) {
+  process.exit(0);
+}
+
+const client = new sdk.Client()
+  .setEndpoint('https://fra.cloud.appwrite.io/v1')
+  .setProject('wykopindex')
+  .setKey(process.env.APPWRITE_API_KEY);
+const tablesDB = new sdk.TablesDB(client);
+
+for (let i = 0; i < closes.length; i += BATCH_SIZE) {
+  const batch = closes.slice(i, i + BATCH_SIZE);
+  await tablesDB.upsertRows({
+    databaseId: DATABASE_ID,
+    tableId: PRICES_COLLECTION,
+    rows: batch.map(row => ({ $id: getPriceRowId(args.benchmark, row.date), benchmark: args.benchmark, ...row }))
+  });
+  console.log(`Imported ${Math.min(i + BATCH_SIZE, closes.length)} of ${closes.length}`);
+}
+
+console.log('Done');
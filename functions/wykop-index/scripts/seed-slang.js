@@ -0,0 +1,40 @@
+/**
+ * Seed the `slang` table with the terms that used to be hardcoded in the prompts.
+ * Existing terms are left untouched, so the script can be re-run safely.
+ *
+ * Usage:
+ *   npm run seed-slang
+ *
+ * Requires APPWRITE_API_KEY in the environment. New terms proposed by users through the bot
+ * land as `pending` and are approved by setting `status` to `approved` in the Appwrite console.
+ */
+import * as sdk from 'node-appwrite';
+import { SLANG_COLLECTION, DEFAULT_SLANG } from '../src/slang.js';
+
+const DATABASE_ID = '69617178003ac8ef4fba';
+
+const client = new sdk.Client()
+  .setEndpoint('https://fra.cloud.appwrite.io/v1')
+  .setProject('wykopindex')
+  .setKey(process.env.APPWRITE_API_KEY);
+const tablesDB = new sdk.TablesDB(client);
+
+for (const entry of DEFAULT_SLANG) {
+  const existing = await tablesDB.listRows({
+    databaseId: DATABASE_ID,
+    tableId: SLANG_COLLECTION,
+    queries: [sdk.Query.equal('term', entry.term), sdk.Query.limit(1)]
+  });
+  if (existing.rows.length > 0) {
+    console.log(`${entry.term}: already exists (${existing.rows[0].status}), skipping`);
+    continue;
+  }
+
+  await tablesDB.createRow({
+    databaseId: DATABASE_ID,
+    tableId: SLANG_COLLECTION,
+    rowId: sdk.ID.unique(),
+    data: { ...entry, status: 'approved' }
+  });
+  console.log(`${entry.term}: added`);
+}
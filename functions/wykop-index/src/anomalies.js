@@ -0,0 +1,65 @@
+/**
+ * Anomaly detection for a new reading against the rolling window of previous readings.
+ * A value is flagged when it is far from the window mean (z-score) and also outside the
+ * bulk of the observed values (percentile), so a single outlier in a quiet window does not
+ * make every later reading look normal or abnormal.
+ */
+
+export const ANOMALY_METRICS = {
+  sentiment: { label: 'Sentyment' },
+  entriesLast24h: { label: 'Wpisy w 24h' },
+  uniqueUsersLast24h: { label: 'Aktywni użytkownicy w 24h' },
+};
+
+export const DEFAULT_Z_THRESHOLD = 2.5;
+
+// Percentile bounds a flagged value has to fall outside of
+const PERCENTILE_LOW = 5;
+const PERCENTILE_HIGH = 95;
+
+// Fewer previous readings than this give meaningless statistics
+const MIN_HISTORY = 10;
+
+/**
+ * Detect anomalies of the current reading.
+ * @param {object[]} history  Previous readings (rows with the ANOMALY_METRICS columns)
+ * @param {Record<string, number>} current  Values of the current reading
+ * @param {number} [zThreshold]
+ * @returns {{ metric: string, value: number, mean: number, zScore: number, percentile: number, direction: 'up'|'down' }[]}
+ */
+export const detectAnomalies = (history, current, zThreshold = DEFAULT_Z_THRESHOLD) => {
+  const anomalies = [];
+  for (const metric of Object.keys(ANOMALY_METRICS)) {
+    const value = current[metric];
+    const values = history.map(row => row[metric]).filter(item => typeof item === 'number');
+    if (typeof value !== 'number' || values.length < MIN_HISTORY) continue;
+
+    const mean = values.reduce((sum, item) => sum + item, 0) / values.length;
+    const std = Math.sqrt(values.reduce((sum, item) => sum + (item - mean) ** 2, 0) / values.length);
+    if (std === 0) continue;
+
+    const zScore = (value - mean) / std;
+    const percentile = values.filter(item => item < value).length / values.length * 100;
+    if (Math.abs(zScore) < zThreshold || (percentile > PERCENTILE_LOW && percentile < PERCENTILE_HIGH)) continue;
+
+    anomalies.push({
+      metric,
+      value,
+      mean: Math.round(mean * 10) / 10,
+      zScore: Math.round(zScore * 100) / 100,
+      percentile: Math.round(percentile),
+      direction: zScore > 0 ? 'up' : 'down',
+    });
+  }
+  return anomalies;
+};
+
+/**
+ * Lines of the "Alert" section of the Wykop post.
+ * @param {ReturnType<typeof detectAnomalies>} anomalies
+ * @param {number} windowDays
+ * @returns {string}
+ */
+export const formatAnomalies = (anomalies, windowDays) => anomalies
+  .map(anomaly => `🚨 ${ANOMALY_METRICS[anomaly.metric].label}: ${anomaly.value} ${anomaly.direction === 'up' ? '▲' : '▼'} (średnio ${Math.round(anomaly.mean)}, z = ${anomaly.zScore.toFixed(1)}; ${anomaly.direction === 'up' ? `wyżej niż ${anomaly.percentile}%` : `niżej niż ${100 - anomaly.percentile}%`} odczytów z ${windowDays} dni)`)
+  .join('\n');
@@ -0,0 +1,68 @@
+/**
+ * Scoring of the "Topowi analitycy" calls against the subsequent move of a benchmark.
+ * The reference price is the last close whose session had ended when the call was made (see getBaseClose);
+ * a horizon is scored with the first later close dated at least that many days after the call.
+ */
+import { getCloseTimes, findLastClosedIndex, findCloseOnOrAfter } from './prices.js';
+
+export const CALL_HORIZONS = { '1d': 1, '1w': 7, '1m': 30 };
+
+// Calls whose horizons still cannot be scored after this long (e.g. missing price data) are closed
+const MAX_CALL_AGE_DAYS = 45;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const toIsoDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Normalise topQuotes of a reading into analyst call rows.
+ * @param {object[]} topQuotes  Items of shape { username, sentiment, quote, url }
+ * @returns {{ username: string, label: string, quote: string, url: string }[]}
+ */
+export const parseCalls = (topQuotes) => (Array.isArray(topQuotes) ? topQuotes : [])
+  .map(item => ({
+    username: String(item.username ?? '').replace(/^@/, '').trim().slice(0, 100),
+    label: String(item.sentiment ?? '').trim().toUpperCase(),
+    quote: String(item.quote ?? '').slice(0, 1000),
+    url: String(item.url ?? '').slice(0, 500),
+  }))
+  .filter(call => call.username && ['BULLISH', 'BEARISH', 'NEUTRALNY'].includes(call.label));
+
+/**
+ * Compute the returns and hits of a call for every horizon that can already be scored.
+ * Neutral calls get returns but no hits, so they do not affect hit rates.
+ * @param {{ calledAt: string, label: string, benchmark: string }} call
+ * @param {{ date: string, close: number }[]} closes  Closes of the call's benchmark, sorted by date
+ * @param {Date} [now]
+ * @param {number[]} [closeTimes]  getCloseTimes of the closes; pass it when scoring many calls against the same closes
+ * @returns {object} Column updates, including `complete` once nothing is left to score
+ */
+export const evaluateCall = (call, closes, now = new Date(), closeTimes = getCloseTimes(closes, call.benchmark)) => {
+  const calledAt = new Date(call.calledAt);
+  const baseIndex = findLastClosedIndex(closeTimes, calledAt.getTime());
+  const base = closes[baseIndex];
+  // Sessions still in progress have no final close yet
+  const finishedCount = findLastClosedIndex(closeTimes, now.getTime()) + 1;
+
+  const update = {};
+  let pending = 0;
+  for (const [horizon, days] of Object.entries(CALL_HORIZONS)) {
+    if (call[`return${horizon}`] != null) continue;
+
+    const targetDay = toIsoDate(new Date(calledAt.getTime() + days * DAY_MS));
+    const targetIndex = base && findCloseOnOrAfter(closes, targetDay, baseIndex + 1);
+    const target = base && targetIndex < finishedCount ? closes[targetIndex] : undefined;
+    if (!base || !target) {
+      pending++;
+      continue;
+    }
+
+    const change = Math.round((target.close - base.close) / base.close * 10000) / 100;
+    update[`return${horizon}`] = change;
+    update[`hit${horizon}`] = call.label === 'BULLISH' ? change > 0 : call.label === 'BEARISH' ? change < 0 : null;
+  }
+
+  if (pending === 0 || now.getTime() - calledAt.getTime() > MAX_CALL_AGE_DAYS * DAY_MS) {
+    update.complete = true;
+  }
+  return update;
+};
@@ -0,0 +1,240 @@
+/**
+ * Gauge image: a needle, the value, the date and a faded "yesterday" needle drawn over a base template from the bucket.
+ * Geometry is kept as fractions of the template size, so new artwork only needs its own metadata.
+ * Extra templates come from the GAUGE_TEMPLATES env var (JSON keyed by name, merged over the built-in ones);
+ * GAUGE_TEMPLATE forces one, otherwise the first template whose `season` covers the date is used.
+ */
+import * as sdk from 'node-appwrite';
+import { createCanvas, loadImage, GifEncoder } from '@napi-rs/canvas';
+import { getSentimentColor } from './utils.js';
+import { tagQuery } from './tags.js';
+
+export const DEFAULT_GAUGE_TEMPLATE = 'wykopindex_v2';
+
+// Gauge GIF of a big move: frame count and size relative to the template
+const ANIMATION_FRAMES = 24;
+const ANIMATION_SCALE = 0.5;
+
+export const GAUGE_TEMPLATES = {
+  // 1433 x 933, pivot and needle length tuned to match the frontend
+  wykopindex_v2: {
+    fileId: 'wykopindex_v2',
+    center: { x: 0.5035, y: 0.915 },
+    needleLength: 0.429, // of the height
+    needleWidth: 0.014, // of the width
+    needleColor: '#575757',
+    value: { x: 0.015, y: 0.94, size: 0.09, align: 'left' },
+    date: { x: 0.985, y: 0.975, size: 0.03, align: 'right' },
+  },
+};
+
+/**
+ * Merge templates from a JSON string over the built-in ones.
+ * Missing geometry falls back to the default template, so a seasonal variant can override only `fileId` and `season`.
+ * @param {string|null|undefined} json  e.g. '{"xmas": {"fileId": "wykopindex_xmas", "season": {"from": "12-01", "to": "01-06"}}}'
+ * @returns {Record<string, object>}
+ */
+export const loadGaugeTemplates = (json) => {
+  if (!json) return GAUGE_TEMPLATES;
+
+  const extra = JSON.parse(json);
+  if (!extra || typeof extra !== 'object' || Array.isArray(extra)) {
+    throw new Error('GAUGE_TEMPLATES must be a JSON object keyed by template name');
+  }
+
+  const templates = { ...GAUGE_TEMPLATES };
+  for (const [name, template] of Object.entries(extra)) {
+    if (!template?.fileId) throw new Error(`Gauge template ${name} has no fileId`);
+    templates[name] = { ...(GAUGE_TEMPLATES[name] ?? GAUGE_TEMPLATES[DEFAULT_GAUGE_TEMPLATE]), ...template };
+  }
+  return templates;
+};
+
+// "MM-DD" ranges may wrap the new year, e.g. 12-01 - 01-06
+const inSeason = (season, date) => {
+  const day = date.toISOString().slice(5, 10);
+  return season.from <= season.to
+    ? day >= season.from && day <= season.to
+    : day >= season.from || day <= season.to;
+};
+
+/**
+ * Pick the template for a date.
+ * @param {Record<string, object>} templates
+ * @param {Date} date
+ * @param {string|null|undefined} forcedName
+ * @returns {object}  Template with its `name`
+ */
+export const resolveGaugeTemplate = (templates, date, forcedName) => {
+  if (forcedName && templates[forcedName]) {
+    return { name: forcedName, ...templates[forcedName] };
+  }
+  const seasonal = Object.entries(templates).find(([, template]) => template.season && inSeason(template.season, date));
+  const [name, template] = seasonal ?? [DEFAULT_GAUGE_TEMPLATE, templates[DEFAULT_GAUGE_TEMPLATE]];
+  return { name, ...template };
+};
+
+/**
+ * Average sentiment of the UTC day before `date`, shown as the faded needle (same value the post compares against).
+ * @param {sdk.TablesDB} tablesDB
+ * @param {string} databaseId
+ * @param {string} tag
+ * @param {Date} date
+ * @returns {Promise<number|null>}
+ */
+export const fetchPreviousSentiment = async (tablesDB, databaseId, tag, date) => {
+  const startOfDayUTC = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const response = await tablesDB.listRows({
+    databaseId: databaseId,
+    tableId: 'sentiment',
+    queries: [
+      tagQuery(sdk.Query, tag),
+      sdk.Query.greaterThanEqual('$createdAt', new Date(startOfDayUTC.getTime() - 24 * 60 * 60 * 1000).toISOString()),
+      sdk.Query.lessThan('$createdAt', startOfDayUTC.toISOString()),
+      sdk.Query.select(['sentiment']),
+      sdk.Query.limit(50)
+    ]
+  });
+  return response.rows.length > 0
+    ? Math.round(response.rows.reduce((sum, row) => sum + row.sentiment, 0) / response.rows.length)
+    : null;
+};
+
+/**
+ * Sentiment of the last stored reading of a tag, i.e. the one before the reading being processed.
+ * @param {sdk.TablesDB} tablesDB
+ * @param {string} databaseId
+ * @param {string} tag
+ * @returns {Promise<number|null>}
+ */
+export const fetchLastSentiment = async (tablesDB, databaseId, tag) => {
+  const response = await tablesDB.listRows({
+    databaseId: databaseId,
+    tableId: 'sentiment',
+    queries: [
+      tagQuery(sdk.Query, tag),
+      sdk.Query.select(['sentiment']),
+      sdk.Query.orderDesc('$createdAt'),
+      sdk.Query.limit(1)
+    ]
+  });
+  return response.rows[0]?.sentiment ?? null;
+};
+
+const drawNeedle = (ctx, centerX, centerY, length, width, sentiment, color) => {
+  const angle = (-90 + (sentiment * 1.8)) * Math.PI / 180;
+
+  ctx.save();
+  ctx.translate(centerX, centerY);
+  ctx.rotate(angle);
+
+  ctx.beginPath();
+  ctx.moveTo(0, -length); // Tip of arrow
+  ctx.lineTo(-width / 2, 0);
+  ctx.lineTo(width / 2, 0);
+  ctx.closePath();
+
+  ctx.fillStyle = color;
+  ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
+  ctx.shadowBlur = 6;
+  ctx.shadowOffsetX = 0;
+  ctx.shadowOffsetY = 2;
+  ctx.fill();
+
+  ctx.restore();
+};
+
+const drawLabel = (ctx, text, color, position, width, height) => {
+  ctx.font = `bold ${Math.round(position.size * height)}px sans-serif`;
+  ctx.textAlign = position.align ?? 'center';
+  ctx.textBaseline = 'middle';
+  ctx.lineJoin = 'round';
+  ctx.lineWidth = Math.max(4, position.size * height / 8);
+  ctx.strokeStyle = '#ffffff';
+  ctx.strokeText(text, position.x * width, position.y * height);
+  ctx.fillStyle = color;
+  ctx.fillText(text, position.x * width, position.y * height);
+};
+
+// Draw the template and everything on top of it at the given size, so animation frames can be scaled down
+const drawGauge = (ctx, baseImage, width, height, template, { sentiment, previousSentiment, date }) => {
+  ctx.drawImage(baseImage, 0, 0, width, height);
+
+  const centerX = template.center.x * width;
+  const centerY = template.center.y * height;
+  const needleLength = template.needleLength * height;
+  const needleWidth = template.needleWidth * width;
+
+  if (previousSentiment !== null && previousSentiment !== undefined) {
+    ctx.globalAlpha = 0.3;
+    drawNeedle(ctx, centerX, centerY, needleLength, needleWidth, previousSentiment, template.needleColor);
+    ctx.globalAlpha = 1;
+  }
+  drawNeedle(ctx, centerX, centerY, needleLength, needleWidth, sentiment, template.needleColor);
+
+  if (template.value) {
+    drawLabel(ctx, String(Math.round(sentiment)), getSentimentColor(sentiment), template.value, width, height);
+  }
+  if (template.date) {
+    const dateText = date.toLocaleString('pl-PL', {
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZone: 'Europe/Warsaw'
+    });
+    drawLabel(ctx, dateText, '#575757', template.date, width, height);
+  }
+};
+
+/**
+ * Render the gauge.
+ * @param {Buffer} baseImageBuffer  Template image
+ * @param {object} template  Result of resolveGaugeTemplate
+ * @param {{ sentiment: number, previousSentiment: number|null, date: Date }} reading
+ * @returns {Promise<Buffer>}  PNG
+ */
+export const renderGauge = async (baseImageBuffer, template, reading) => {
+  const baseImage = await loadImage(baseImageBuffer);
+  const { width, height } = baseImage;
+
+  const canvas = createCanvas(width, height);
+  drawGauge(canvas.getContext('2d'), baseImage, width, height, template, reading);
+
+  return canvas.toBuffer('image/png');
+};
+
+/**
+ * Render an animated GIF where the needle sweeps from the previous reading to the current one and stops there.
+ * Frames are drawn at half size to keep the file small enough for a Wykop upload.
+ * @param {Buffer} baseImageBuffer  Template image
+ * @param {object} template  Result of resolveGaugeTemplate
+ * @param {{ sentiment: number, previousSentiment: number|null, date: Date }} reading
+ * @param {number} fromSentiment  Value the sweep starts at
+ * @returns {Promise<Buffer>}  GIF
+ */
+export const renderGaugeAnimation = async (baseImageBuffer, template, reading, fromSentiment) => {
+  const baseImage = await loadImage(baseImageBuffer);
+  const width = Math.round(baseImage.width * ANIMATION_SCALE);
+  const height = Math.round(baseImage.height * ANIMATION_SCALE);
+
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  const encoder = new GifEncoder(width, height, { repeat: 0 });
+
+  for (let frame = 0; frame < ANIMATION_FRAMES; frame++) {
+    // Ease-out, so the needle slows down before it settles on the current value
+    const progress = 1 - (1 - frame / (ANIMATION_FRAMES - 1)) ** 3;
+    ctx.clearRect(0, 0, width, height);
+    drawGauge(ctx, baseImage, width, height, template, {
+      ...reading,
+      sentiment: fromSentiment + (reading.sentiment - fromSentiment) * progress
+    });
+    const isLastFrame = frame === ANIMATION_FRAMES - 1;
+    const pixels = ctx.getImageData(0, 0, width, height).data;
+    encoder.addFrame(new Uint8Array(pixels.buffer, pixels.byteOffset, pixels.byteLength), width, height, { delay: isLastFrame ? 4000 : 60 });
+  }
+
+  return encoder.finish();
+};
@@ -0,0 +1,118 @@
+/**
+ * 30-day sentiment chart rendered to PNG for the comment under the Wykop entry.
+ * Zone colors match getSentimentColor on the site.
+ */
+import { createCanvas } from '@napi-rs/canvas';
+import { getSentimentColor } from './utils.js';
+
+const WIDTH = 1200;
+const HEIGHT = 630;
+const PADDING = { top: 70, right: 60, bottom: 60, left: 70 };
+
+const ZONES = [
+  { from: 0, to: 20 },
+  { from: 20, to: 40 },
+  { from: 40, to: 60 },
+  { from: 60, to: 80 },
+  { from: 80, to: 100 },
+];
+
+const formatDay = (date) => date.toLocaleDateString('pl-PL', { day: '2-digit', month: '2-digit', timeZone: 'Europe/Warsaw' });
+
+/**
+ * Render the chart of past readings followed by the current one.
+ * @param {{ $createdAt: string, sentiment: number }[]} history  Readings oldest first, without the current one
+ * @param {{ createdAt: Date, sentiment: number }} current
+ * @param {string} title
+ * @returns {Buffer}  PNG
+ */
+export const renderHistoryChart = (history, current, title) => {
+  const points = [
+    ...history.map(row => ({ time: new Date(row.$createdAt).getTime(), sentiment: row.sentiment })),
+    { time: current.createdAt.getTime(), sentiment: current.sentiment },
+  ];
+
+  const canvas = createCanvas(WIDTH, HEIGHT);
+  const ctx = canvas.getContext('2d');
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const firstTime = points[0].time;
+  const timeSpan = Math.max(points.at(-1).time - firstTime, 1);
+  const x = (time) => PADDING.left + (points.length > 1 ? (time - firstTime) / timeSpan * plotWidth : plotWidth);
+  const y = (sentiment) => PADDING.top + (1 - sentiment / 100) * plotHeight;
+
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, WIDTH, HEIGHT);
+
+  // Zone bands
+  ctx.globalAlpha = 0.12;
+  for (const zone of ZONES) {
+    ctx.fillStyle = getSentimentColor(zone.to);
+    ctx.fillRect(PADDING.left, y(zone.to), plotWidth, y(zone.from) - y(zone.to));
+  }
+  ctx.globalAlpha = 1;
+
+  // Horizontal grid with the zone boundaries
+  ctx.strokeStyle = '#e5e7eb';
+  ctx.lineWidth = 1;
+  ctx.fillStyle = '#6b7280';
+  ctx.font = '18px sans-serif';
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  for (let level = 0; level <= 100; level += 20) {
+    ctx.beginPath();
+    ctx.moveTo(PADDING.left, y(level));
+    ctx.lineTo(PADDING.left + plotWidth, y(level));
+    ctx.stroke();
+    ctx.fillText(String(level), PADDING.left - 12, y(level));
+  }
+
+  // Date labels at the start, middle and end of the range
+  ctx.textBaseline = 'top';
+  const labelTimes = points.length > 1 ? [firstTime, firstTime + timeSpan / 2, points.at(-1).time] : [firstTime];
+  labelTimes.forEach((time, index) => {
+    ctx.textAlign = labelTimes.length > 1 && index === labelTimes.length - 1 ? 'right' : index === 0 ? 'left' : 'center';
+    ctx.fillText(formatDay(new Date(time)), x(time), PADDING.top + plotHeight + 16);
+  });
+
+  // Line, each segment in the zone color of its end
+  ctx.lineWidth = 4;
+  ctx.lineJoin = 'round';
+  ctx.lineCap = 'round';
+  for (let i = 1; i < points.length; i++) {
+    ctx.strokeStyle = getSentimentColor(points[i].sentiment);
+    ctx.beginPath();
+    ctx.moveTo(x(points[i - 1].time), y(points[i - 1].sentiment));
+    ctx.lineTo(x(points[i].time), y(points[i].sentiment));
+    ctx.stroke();
+  }
+
+  // Current reading
+  const last = points.at(-1);
+  ctx.beginPath();
+  ctx.arc(x(last.time), y(last.sentiment), 12, 0, 2 * Math.PI);
+  ctx.fillStyle = getSentimentColor(last.sentiment);
+  ctx.fill();
+  ctx.lineWidth = 4;
+  ctx.strokeStyle = '#ffffff';
+  ctx.stroke();
+
+  // Value left of the marker, with a white halo so it stays readable over the line
+  ctx.font = 'bold 32px sans-serif';
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  ctx.lineWidth = 8;
+  ctx.lineJoin = 'round';
+  ctx.strokeText(String(last.sentiment), x(last.time) - 22, y(last.sentiment));
+  ctx.fillText(String(last.sentiment), x(last.time) - 22, y(last.sentiment));
+
+  // Title
+  ctx.fillStyle = '#111827';
+  ctx.font = 'bold 28px sans-serif';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(title, PADDING.left, PADDING.top / 2);
+
+  return canvas.toBuffer('image/png');
+};
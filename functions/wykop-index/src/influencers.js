@@ -0,0 +1,125 @@
+/**
+ * Finance YouTube channels tracked next to the index.
+ * Every new video of a channel (see youtube.js) is analysed once into a stance score, a predicted market direction,
+ * the tickers it mentions and a short roast, stored in the `influencers` table and compared with the index of the channel's `tag` on the site.
+ * Directions are scored like analyst calls, against the benchmark of the channel's tag (see calls.js).
+ * `tomek` is Tomkowe Kreski: its roast also goes into the posts of tags with `tomek` enabled.
+ */
+import { DEFAULT_TAG, TAG_CONFIGS } from './tags.js';
+
+export const INFLUENCERS = {
+  tomek: {
+    name: 'Tomkowe Kreski',
+    channelId: 'UCJttpsWBTN8vxv_YNUtHHWw',
+    tag: DEFAULT_TAG,
+  },
+};
+
+export const TOMEK_INFLUENCER = 'tomek';
+
+// Videos older than this are not analysed, so a quiet channel does not repeat its last video in every post
+export const MAX_VIDEO_AGE_MS = 48 * 60 * 60 * 1000;
+
+// New videos of a channel analysed per run, newest first; the rest wait for the next run while still in the window
+export const MAX_VIDEOS_PER_RUN = 3;
+
+// Time all channels may spend on video analysis in one run. A video is started only if its worst case
+// (every retry hitting the request timeout) still fits, so the tags keep the rest of the 900-second function timeout
+export const INFLUENCER_TIME_BUDGET_MS = 8 * 60 * 1000;
+
+export const DIRECTIONS = ['BULLISH', 'BEARISH', 'NEUTRALNY'];
+
+// 20 tickers of at most 20 characters keep the JSON list within the 1000-character tickers column,
+// so a long name returned by the model cannot make the row fail to save (and the video be analysed again)
+const MAX_TICKERS = 20;
+const MAX_TICKER_LENGTH = 20;
+const MAX_ROAST_LENGTH = 500;
+
+/**
+ * Tracked channels: the built-in list extended or overridden by the INFLUENCERS env value.
+ * Keys are part of the row IDs, so they are limited to lowercase letters, digits and underscores.
+ * @param {string|null|undefined} json  e.g. '{"inwestomat": {"name": "Inwestomat", "channelId": "UC...", "tag": "inwestycje"}}'
+ * @returns {Record<string, { name: string, channelId: string, tag: string }>}
+ */
+export const loadInfluencers = (json) => {
+  if (!json) return INFLUENCERS;
+
+  const extra = JSON.parse(json);
+  if (!extra || typeof extra !== 'object' || Array.isArray(extra)) {
+    throw new Error('INFLUENCERS must be a JSON object keyed by influencer name');
+  }
+
+  const influencers = { ...INFLUENCERS };
+  for (const [key, influencer] of Object.entries(extra)) {
+    if (!/^[a-z0-9][a-z0-9_]{0,19}$/.test(key)) throw new Error(`Invalid influencer key: ${key}`);
+    const merged = { tag: DEFAULT_TAG, ...INFLUENCERS[key], ...influencer };
+    if (!/^UC[\w-]{22}$/.test(merged.channelId ?? '')) throw new Error(`Influencer ${key} has no valid channelId`);
+    if (!(merged.tag in TAG_CONFIGS)) throw new Error(`Influencer ${key} has an unknown tag: ${merged.tag}`);
+    influencers[key] = { ...merged, name: merged.name || key };
+  }
+  return influencers;
+};
+
+export const INFLUENCER_SYSTEM_INSTRUCTION = `You are a helpful assistant that reviews Polish finance videos on YouTube.
+
+    BEHAVIORAL RULES:
+    - Always respond in Polish.
+
+    CRITICAL: You MUST respond with ONLY raw JSON. DO NOT wrap your response in markdown code blocks. DO NOT add any text before or after the JSON. Your entire response must be valid JSON that can be directly parsed.`;
+
+/**
+ * Build the video prompt of an influencer.
+ * @param {{ name: string }} influencer
+ * @returns {string}
+ */
+export const buildInfluencerPrompt = (influencer) => `Obejrzyj ten film z kanalu ${influencer.name} i ocen nastawienie autora do rynku.
+
+      Odpowiedz w nastepujacym formacie JSON:
+      {
+        "score": "nastawienie autora do rynku w skali 1-100 jako string (1 = ekstremalnie bearish, 100 = ekstremalnie bullish)",
+        "direction": "BULLISH/BEARISH/NEUTRALNY",
+        "tickers": ["ticker lub krotka nazwa spolki/aktywa"],
+        "roast": "zwiezla analiza tresci filmu z lekka szydera, ale tez sympatia (max ${MAX_ROAST_LENGTH} znakow)"
+      }
+
+      WAZNE:
+      - score opisuje ogolne nastawienie autora, a nie pojedyncze spolki. Film bez wyraznego nastawienia to 50.
+      - direction to kierunek rynku w najblizszych tygodniach, ktory autor przewiduje lub sugeruje (BULLISH = wzrosty, BEARISH = spadki, NEUTRALNY = brak prognozy).
+      - tickers: wszystkie omawiane spolki lub aktywa, tickerem gieldowym jesli istnieje (np. "XTB", "PKN", "NVDA", "BTC"). Pusta lista, jesli film nie omawia konkretnych aktywow.
+      - Wszystkie pola w odpowiedzi sa wymagane.`;
+
+export const INFLUENCER_SCHEMA = {
+  score: 'string',
+  direction: 'string',
+  tickers: 'array-of-strings',
+  roast: 'string',
+};
+
+/**
+ * Normalise a validated model response.
+ * @param {{ score: string, direction: string, tickers: string[], roast: string }} result
+ * @returns {{ score: number, direction: string, tickers: string[], roast: string }}
+ */
+export const parseInfluencerResult = (result) => {
+  const score = parseInt(result.score);
+  if (Number.isNaN(score)) throw new Error(`Invalid influencer score: ${result.score}`);
+  const direction = result.direction.trim().toUpperCase();
+  if (!DIRECTIONS.includes(direction)) throw new Error(`Invalid influencer direction: ${result.direction}`);
+  return {
+    score: Math.min(100, Math.max(1, score)),
+    direction,
+    tickers: [...new Set(result.tickers
+      .map(ticker => ticker.trim().replace(/^\$/, '').toUpperCase().slice(0, MAX_TICKER_LENGTH).trim())
+      .filter(ticker => ticker))]
+      .slice(0, MAX_TICKERS),
+    roast: result.roast.trim().slice(0, MAX_ROAST_LENGTH),
+  };
+};
+
+/**
+ * Row ID of an analysed video; it doubles as the record that the video does not need another analysis.
+ * @param {string} influencer  Key of INFLUENCERS
+ * @param {string} videoId
+ * @returns {string}
+ */
+export const getInfluencerRowId = (influencer, videoId) => `${influencer}-${videoId}`;
@@ -0,0 +1,151 @@
+/**
+ * Deterministic, dictionary-based sentiment scorer for Polish market slang.
+ * Runs on the `parsePosts` output independently of the AI model, so the series
+ * it produces only changes when the posts change.
+ */
+
+// Stems are matched against the start of diacritic-free, lowercased tokens
+// ("spad" matches "spadki", "spadek", "spada"). Weights express strength.
+const BULLISH_STEMS = {
+  rakiet: 2, moon: 2, hoss: 2, rajd: 2, dokup: 2, bycz: 2, bullish: 2,
+  pomp: 1, stonks: 1, rosn: 1, rosl: 1, wzrost: 1, wzrosl: 1, zielon: 1, odbic: 1, odbij: 1,
+  kupuj: 1, kupil: 1, long: 1, byk: 1, breakout: 1, zysk: 1, zarobil: 1, dywidend: 1,
+  tanio: 1, okazj: 1, rekord: 1,
+};
+
+const BEARISH_STEMS = {
+  krach: 2, dump: 2, bess: 2, panik: 2, likwidac: 2, recesj: 2, bearish: 2,
+  upadl: 2, upadek: 2, bankrut: 2, kapitulac: 2,
+  spad: 1, short: 1, czerwon: 1, zjazd: 1, zjechal: 1, sprzedaj: 1, sprzedal: 1, dno: 1,
+  korekt: 1, placz: 1, wtop: 1, strata: 1, straty: 1, strac: 1, niedzwiedz: 1, smieciuch: 1,
+  drogo: 1, przewartosc: 1, tonie: 1,
+};
+
+// Multi-word expressions are matched on the normalised text before tokenisation
+const BULLISH_PHRASES = {
+  'to the moon': 3, 'jest w pyte': 2, 'all in': 2, 'kupuj dolek': 2, 'buy the dip': 2, 'nowe szczyty': 2,
+};
+
+const BEARISH_PHRASES = {
+  'margin call': 3, 'isover': 2, 'is over': 2, 'krwawa laznia': 3, 'noz spada': 2, 'lapanie noza': 2, 'uciekac': 2,
+};
+
+const BULLISH_EMOJI = { '🚀': 2, '📈': 1, '🐂': 1, '💰': 1, '🤑': 1 };
+const BEARISH_EMOJI = { '📉': 1, '🩸': 2, '🐻': 1, '💩': 1, '😭': 1 };
+
+// A negation within this many preceding tokens flips the polarity ("nie rosnie")
+const NEGATIONS = new Set(['nie', 'ani', 'zadne', 'zadnej', 'zadnego', 'brak']);
+const NEGATION_WINDOW = 2;
+
+// Pseudo-count that pulls sparse readings toward neutral
+const SMOOTHING = 5;
+
+/**
+ * Lowercase and strip Polish diacritics.
+ * @param {string} text
+ * @returns {string}
+ */
+export const normalizeText = (text) => String(text ?? '')
+  .toLowerCase()
+  .replace(/ł/g, 'l')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '');
+
+const matchStem = (token, stems) => {
+  for (const [stem, weight] of Object.entries(stems)) {
+    if (token.startsWith(stem)) return weight;
+  }
+  return 0;
+};
+
+const countPhrases = (text, phrases) => {
+  let total = 0;
+  const matched = [];
+  for (const [phrase, weight] of Object.entries(phrases)) {
+    const occurrences = text.split(phrase).length - 1;
+    if (occurrences > 0) {
+      total += occurrences * weight;
+      matched.push(phrase);
+    }
+  }
+  return { total, matched };
+};
+
+const countEmoji = (text, emoji) => {
+  let total = 0;
+  for (const [symbol, weight] of Object.entries(emoji)) {
+    total += (text.split(symbol).length - 1) * weight;
+  }
+  return total;
+};
+
+/**
+ * Score a single piece of text.
+ * @param {string} content
+ * @returns {{ bullish: number, bearish: number, terms: string[] }}
+ */
+export const scoreText = (content) => {
+  const raw = String(content ?? '');
+  const text = normalizeText(raw);
+  let bullish = countEmoji(raw, BULLISH_EMOJI);
+  let bearish = countEmoji(raw, BEARISH_EMOJI);
+  const terms = [];
+
+  const bullishPhrases = countPhrases(text, BULLISH_PHRASES);
+  const bearishPhrases = countPhrases(text, BEARISH_PHRASES);
+  bullish += bullishPhrases.total;
+  bearish += bearishPhrases.total;
+  terms.push(...bullishPhrases.matched, ...bearishPhrases.matched);
+
+  const tokens = text.split(/[^a-z0-9]+/).filter(token => token);
+  tokens.forEach((token, index) => {
+    const bullWeight = matchStem(token, BULLISH_STEMS);
+    const bearWeight = matchStem(token, BEARISH_STEMS);
+    if (!bullWeight && !bearWeight) return;
+
+    const negated = tokens
+      .slice(Math.max(0, index - NEGATION_WINDOW), index)
+      .some(previous => NEGATIONS.has(previous));
+
+    if (negated) {
+      bullish += bearWeight;
+      bearish += bullWeight;
+    } else {
+      bullish += bullWeight;
+      bearish += bearWeight;
+    }
+    terms.push(negated ? `nie ${token}` : token);
+  });
+
+  return { bullish, bearish, terms };
+};
+
+/**
+ * Score a parsed corpus (entries with nested comments) on the same 1-100 scale as the AI index.
+ * @param {object[]} parsedData  Output of parsePosts
+ * @returns {{ score: number, bullish: number, bearish: number, topTerms: string[] }}
+ */
+export const scoreCorpus = (parsedData) => {
+  let bullish = 0;
+  let bearish = 0;
+  const termCounts = {};
+
+  const items = parsedData.flatMap(entry => [entry, ...(entry.comments || [])]);
+  for (const item of items) {
+    const result = scoreText(item.content);
+    bullish += result.bullish;
+    bearish += result.bearish;
+    for (const term of result.terms) {
+      termCounts[term] = (termCounts[term] || 0) + 1;
+    }
+  }
+
+  const polarity = (bullish - bearish) / (bullish + bearish + SMOOTHING);
+  const score = Math.min(100, Math.max(1, Math.round(50.5 + 49.5 * polarity)));
+  const topTerms = Object.entries(termCounts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 10)
+    .map(([term]) => term);
+
+  return { score, bullish, bearish, topTerms };
+};
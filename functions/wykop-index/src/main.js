@@ -1,7 +1,7 @@
 import * as sdk from 'node-appwrite';
 import { InputFile } from 'node-appwrite/file';
+import { gzipSync } from 'node:zlib';
 import { GoogleGenAI } from '@google/genai';
-import { createCanvas, loadImage } from '@napi-rs/canvas';
 import {
   cleanJsonResponse,
   validateSchema,
@@ -9,13 +9,71 @@ import {
   parsePosts,
   getTopUser,
   pickRandomUrl,
+  parseAssetScores,
+  aggregateClassifications,
+  assertClassifiedShare,
+  isDryRun,
+  mapWithConcurrency,
+  buildHourlyActivity,
+  countUserActivity,
 } from './utils.js';
+import { TAG_CONFIGS, DEFAULT_TAG, getEnabledTags, tagQuery } from './tags.js';
+import { scoreCorpus } from './lexicon.js';
+import { fetchAllComments, hasTruncatedComments } from './wykop.js';
+import { PRIMARY_MODEL, BACKUP_MODEL, SYSTEM_INSTRUCTION, buildSentimentPrompt, SENTIMENT_SCHEMA } from './sentiment.js';
+import { BENCHMARKS, getDailyCloses, getCloseTimes, getPriceRowId } from './prices.js';
+import { parseCalls, evaluateCall } from './calls.js';
+import { ANOMALY_METRICS, DEFAULT_Z_THRESHOLD, detectAnomalies, formatAnomalies } from './anomalies.js';
+import { loadSlang, countAssetMentions, canonicalAssetName } from './slang.js';
+import { renderHistoryChart } from './historyChart.js';
+import { GAUGE_TEMPLATES, loadGaugeTemplates, resolveGaugeTemplate, fetchPreviousSentiment, fetchLastSentiment, renderGauge, renderGaugeAnimation } from './gauge.js';
+import { renderShareCard } from './shareCard.js';
+import {
+  INFLUENCERS,
+  TOMEK_INFLUENCER,
+  MAX_VIDEO_AGE_MS,
+  MAX_VIDEOS_PER_RUN,
+  INFLUENCER_TIME_BUDGET_MS,
+  INFLUENCER_SYSTEM_INSTRUCTION,
+  INFLUENCER_SCHEMA,
+  loadInfluencers,
+  buildInfluencerPrompt,
+  parseInfluencerResult,
+  getInfluencerRowId,
+} from './influencers.js';
+import { fetchChannelVideos } from './youtube.js';
 
 // Appwrite resource IDs
 const DATABASE_ID = '69617178003ac8ef4fba';
 const BUCKET_ID = '6961715000182498a35a';
 const SENTIMENT_COLLECTION = 'sentiment';
 const SUBSCRIBERS_COLLECTION = 'subscribers';
+const ASSETS_COLLECTION = 'assets';
+const USER_ACTIVITY_COLLECTION = 'user_activity';
+const ANALYST_CALLS_COLLECTION = 'analyst_calls';
+const PRICES_COLLECTION = 'prices';
+const INFLUENCERS_COLLECTION = 'influencers';
+
+// Gap between the AI and lexicon scores above which a reading is flagged
+const DEFAULT_DIVERGENCE_THRESHOLD = 25;
+
+// Comment threads are fetched in parallel with this many requests in flight
+const DEFAULT_COMMENT_FETCH_CONCURRENCY = 5;
+
+// Change since the previous reading above which the post gets the animated gauge instead of the static one
+const DEFAULT_GIF_THRESHOLD = 15;
+
+// Longest time a user activity row may cover; after a longer outage the runs in between are lost
+const MAX_ACTIVITY_WINDOW_DAYS = 7;
+
+// Columns of the previous readings read by the post: yesterday's and last week's values, the anomaly metrics
+// and the history chart. Anything left out of the select is silently undefined on the rows
+const HISTORY_COLUMNS = [...new Set([
+  '$id', '$createdAt', 'sentiment', 'entriesLast24h', 'uniqueUsersLast24h', 'followers', ...Object.keys(ANOMALY_METRICS)
+])];
+
+// Closes synced on every run; covers pending analyst calls, which are closed after 45 days
+const PRICE_SYNC_DAYS = 60;
 
 export default async ({ req, res, log: baseLog, error }) => {
   try {
@@ -36,29 +94,20 @@ export default async ({ req, res, log: baseLog, error }) => {
     });
 
     let model;
-    const systemInstruction = `You are a helpful assistant that analyzes sentiment about stock markets on a Polish social media platform.
-    The username of an account from which your responses are posted is KrachSmieciuchIndex.
-
-    BEHAVIORAL RULES:
-    - Always respond in Polish.
-    - When quoting the users, do not censor their language - use an exact quote.
-
-    CRITICAL: You MUST respond with ONLY raw JSON. DO NOT wrap your response in markdown code blocks. DO NOT add any text before or after the JSON. Your entire response must be valid JSON that can be directly parsed.`;
 
     // Retry helper with exponential backoff
     const maxAttempts = 3;
 
-    const retryWithBackoff = async (fn, delayMs = 30000) => {
+    const retryDelayMs = 30000;
+
+    const retryWithBackoff = async (fn, delayMs = retryDelayMs) => {
       for (let attempt = 1; attempt <= maxAttempts; attempt++) {
         try {
-          const primaryModel = 'gemini-3.5-flash';
-          const backupModel = 'gemini-2.5-flash';
-
           if (attempt === 1) {
-            model = primaryModel;
+            model = PRIMARY_MODEL;
             log(`Using ${model}`);
           } else if (attempt === maxAttempts) {
-            model = backupModel;
+            model = BACKUP_MODEL;
             log(`Switching to ${model} for final attempt`);
           }
           return await fn();
@@ -74,7 +123,7 @@ export default async ({ req, res, log: baseLog, error }) => {
     };
 
     // Authenticate with Wykop API
-    let wykopAuthResponse = await fetch('https://wykop.pl/api/v3/auth', {
+    const wykopAuthResponse = await fetch('https://wykop.pl/api/v3/auth', {
       method: 'POST',
       headers: {
         'accept': 'application/json',
@@ -92,8 +141,8 @@ export default async ({ req, res, log: baseLog, error }) => {
       throw new Error(`Wykop auth failed: ${wykopAuthResponse.status} ${await wykopAuthResponse.text()}`);
     }
 
-    let wykopAuthResponseJson = await wykopAuthResponse.json();
-    let wykopToken = wykopAuthResponseJson.data.token;
+    const wykopAuthResponseJson = await wykopAuthResponse.json();
+    const wykopToken = wykopAuthResponseJson.data.token;
     log("Successfully authenticated with Wykop using API key");
 
     // Get current UTC time and calculate Poland offset (UTC+1 or UTC+2 depending on DST)
@@ -106,455 +155,764 @@ export default async ({ req, res, log: baseLog, error }) => {
     const lookBackTime = new Date(nowUTC.getTime() - hoursToLookBack * 60 * 60 * 1000);
     const twentyFourHoursAgo = new Date(nowUTC.getTime() - 24 * 60 * 60 * 1000);
 
-    // --- TAG STATS SECTION ---
-    const tagResponse = await fetch('https://wykop.pl/api/v3/tags/gielda', {
-        method: 'GET',
-        headers: {
-          'accept': 'application/json',
-          'Authorization': `Bearer ${wykopToken}`
-        }
-      });
+    const tags = getEnabledTags(process.env.TAGS);
+    log(`Processing tags: ${tags.map(tag => `#${tag}`).join(', ')}`);
 
-    if (!tagResponse.ok) {
-      throw new Error(`Wykop tag stats fetch failed: ${tagResponse.status} ${await tagResponse.text()}`);
+    // Dry run: analyse and render as usual, but skip uploads, Wykop posts and database writes
+    const dryRun = isDryRun(req);
+    if (dryRun) {
+      log("Dry run: nothing will be posted or saved");
     }
 
-    const tagResponseJson = await tagResponse.json();
-    const followersCount = tagResponseJson.data.followers;
-
-    log('Starting to count posts and collecting recent entries for sentiment analysis...');
-    let batchSize = 5; // Fetch 5 pages at once
-    let entriesLast24h = 0;
-    let currentBatchStart = 1;
-    let shouldContinue = true;
-    let newestEntryTime = null;
-    let oldestEntryTime = null;
-    const userEntryCounts = {};
-    const userCommentCounts = {};
-    let recentEntries = [];
-
-    while (shouldContinue) {
-      const pageNumbers = Array.from({ length: batchSize }, (_, i) => currentBatchStart + i);
-      log(`Fetching pages ${pageNumbers[0]}-${pageNumbers[pageNumbers.length - 1]}`);
-
-      const responses = await Promise.all(
-        pageNumbers.map(page => 
-          fetch(`https://wykop.pl/api/v3/tags/gielda/stream?page=${page}&limit=50&sort=all&type=all&multimedia=false`, {
-            method: 'GET',
-            headers: {
-              'accept': 'application/json',
-              'Authorization': `Bearer ${wykopToken}`
-            }
-          })
-        )
-      );
+    // Gauge artwork for this run; a broken GAUGE_TEMPLATES falls back to the built-in templates
+    let gaugeTemplates = GAUGE_TEMPLATES;
+    try {
+      gaugeTemplates = loadGaugeTemplates(process.env.GAUGE_TEMPLATES);
+    } catch (templatesError) {
+      error(`Invalid GAUGE_TEMPLATES, using the built-in templates: ${templatesError.message}`);
+    }
+    const gaugeTemplate = resolveGaugeTemplate(gaugeTemplates, nowUTC, process.env.GAUGE_TEMPLATE);
+    log(`Using gauge template ${gaugeTemplate.name} (${gaugeTemplate.fileId})`);
+    // GIF_THRESHOLD=0 turns the animation off
+    const gifThreshold = process.env.GIF_THRESHOLD !== undefined && process.env.GIF_THRESHOLD !== ''
+      ? parseInt(process.env.GIF_THRESHOLD)
+      : DEFAULT_GIF_THRESHOLD;
+
+    // --- INFLUENCERS SECTION ---
+    // New videos of every tracked channel are analysed once; videos analysed by an earlier run are read back from the
+    // influencers table. Tomkowe Kreski (the newest Tomek video in the window) also goes into the posts of tags with `tomek` enabled
+
+    let influencers = INFLUENCERS;
+    try {
+      influencers = loadInfluencers(process.env.INFLUENCERS);
+    } catch (influencersError) {
+      error(`Invalid INFLUENCERS, using the built-in channels: ${influencersError.message}`);
+    }
 
-      const pagesData = await Promise.all(responses.map(r => r.json()));
+    // Worst case of one video: every attempt runs into the request timeout
+    const videoRequestTimeoutMs = 120000;
+    const videoAnalysisMaxMs = maxAttempts * videoRequestTimeoutMs + (maxAttempts - 1) * retryDelayMs;
+    const influencerDeadline = Date.now() + INFLUENCER_TIME_BUDGET_MS;
 
-      for (let i = 0; i < pagesData.length; i++) {
-        const entries = pagesData[i].data;
-        if (!entries || entries.length === 0) {
-          shouldContinue = false;
-          break;
+    // Newly analysed videos
+    const influencerResults = [];
+    let tomekVideoResult = { analysis: null, score: null, direction: null, videoTitle: null, videoUrl: null, videoPublishedAt: null };
+    const videoSince = new Date(nowUTC.getTime() - MAX_VIDEO_AGE_MS);
+    for (const [key, influencer] of Object.entries(influencers)) {
+      try {
+        const { videos, skipped } = await fetchChannelVideos(influencer.channelId, videoSince, process.env.YOUTUBE_API_KEY);
+        skipped.forEach(video => log(`Skipping ${influencer.name} video ${video.videoId} (${video.reason})`));
+        if (videos.length === 0) {
+          log(`No ${influencer.name} videos in the 48-hour window`);
+          continue;
         }
 
-        let recentCount = 0;
-        for (const entry of entries) {
-          // Wykop API returns Poland time, parse as UTC then subtract Poland offset
-          const entryDate = new Date(entry.created_at.replace(' ', 'T') + 'Z');
-          const entryTimeUTC = entryDate.getTime() - polandOffset;
-          if (entryTimeUTC >= twentyFourHoursAgo.getTime()) {
-            recentCount++;
-            if (!newestEntryTime) newestEntryTime = entry.created_at;
-            oldestEntryTime = entry.created_at;
-            
-            // Count entries per user
-            const username = entry.author.username;
-            userEntryCounts[username] = (userEntryCounts[username] || 0) + 1;
-            
-            // Count comments per user
-            if (entry.comments?.items) {
-              for (const comment of entry.comments.items) {
-                const commentUsername = comment.author.username;
-                userCommentCounts[commentUsername] = (userCommentCounts[commentUsername] || 0) + 1;
+        const stored = await tablesDB.listRows({
+          databaseId: DATABASE_ID,
+          tableId: INFLUENCERS_COLLECTION,
+          queries: [
+            sdk.Query.equal('$id', videos.map(video => getInfluencerRowId(key, video.videoId))),
+            sdk.Query.limit(videos.length)
+          ]
+        });
+        const analyses = new Map(stored.rows.map(row => [row.videoId, {
+          score: row.score,
+          direction: row.direction,
+          roast: row.roast,
+        }]));
+        const newVideos = videos.filter(video => !analyses.has(video.videoId)).slice(0, MAX_VIDEOS_PER_RUN);
+        log(`${influencer.name}: ${videos.length} videos in the 48-hour window, ${analyses.size} already analysed, analysing ${newVideos.length}`);
+
+        for (const [index, video] of newVideos.entries()) {
+          if (Date.now() + videoAnalysisMaxMs > influencerDeadline) {
+            log(`Influencer time budget used up, leaving ${newVideos.length - index} ${influencer.name} videos for the next run`);
+            break;
+          }
+          try {
+            log(`Analysing ${influencer.name} video: ${video.videoTitle} (${video.videoUrl}) published: ${video.videoPublishedAt}`);
+            let videoResult = null;
+            await retryWithBackoff(async () => {
+              const videoResponse = await ai.models.generateContent({
+                model: model,
+                contents: [
+                  { fileData: { fileUri: video.videoUrl } },
+                  { text: buildInfluencerPrompt(influencer) },
+                ],
+                config: {
+                  httpOptions: { timeout: videoRequestTimeoutMs },
+                  systemInstruction: INFLUENCER_SYSTEM_INSTRUCTION,
+                },
+              });
+
+              log(`${influencer.name} video response: ${JSON.stringify(videoResponse.text)}`);
+
+              let parsed;
+              try {
+                parsed = cleanJsonResponse(videoResponse.text ?? '');
+              } catch (parseError) {
+                throw new Error(`${influencer.name} video response is not valid JSON: ${parseError.message}`);
               }
-            }
+              const schemaErrors = validateSchema(parsed, INFLUENCER_SCHEMA);
+              if (schemaErrors.length > 0) {
+                throw new Error(`${influencer.name} video response doesn't match expected schema: ${schemaErrors.join(', ')}`);
+              }
+              videoResult = parseInfluencerResult(parsed);
+            });
 
-            if (entryTimeUTC >= lookBackTime.getTime()) {
-              recentEntries.push(entry);
-            }
-          } else {
-            entriesLast24h += recentCount;
-            shouldContinue = false;
-            break;
+            analyses.set(video.videoId, videoResult);
+            influencerResults.push({ influencer: key, name: influencer.name, tag: influencer.tag, ...video, ...videoResult });
+            log(`${influencer.name} stance: ${videoResult.score} ${videoResult.direction} (tickers: ${videoResult.tickers.join(', ') || 'none'})`);
+          } catch (videoError) {
+            error(`Failed to analyze ${influencer.name} video ${video.videoUrl}: ${videoError.message}`);
           }
         }
 
-        if (!shouldContinue) break;
-        entriesLast24h += recentCount;
+        const latestVideo = videos.find(video => analyses.has(video.videoId));
+        if (key === TOMEK_INFLUENCER && latestVideo) {
+          const latestAnalysis = analyses.get(latestVideo.videoId);
+          tomekVideoResult = {
+            analysis: latestAnalysis.roast,
+            score: latestAnalysis.score,
+            direction: latestAnalysis.direction,
+            videoTitle: latestVideo.videoTitle,
+            videoUrl: latestVideo.videoUrl,
+            videoPublishedAt: latestVideo.videoPublishedAt,
+          };
+        }
+      } catch (influencerError) {
+        error(`Failed to fetch ${influencer.name} videos: ${influencerError.message}`);
       }
-      currentBatchStart += batchSize;
     }
-    
-    // Find top users
-    const topEntryUser = getTopUser(userEntryCounts);
-    const topCommentUser = getTopUser(userCommentCounts);
-    const uniqueUsersLast24h = new Set([
-      ...Object.keys(userEntryCounts),
-      ...Object.keys(userCommentCounts),
-    ]).size;
-    
-    // Calculate combined totals
-    const allUsers = new Set([...Object.keys(userEntryCounts), ...Object.keys(userCommentCounts)]);
-    const userCombinedCounts = {};
-    for (const user of allUsers) {
-      userCombinedCounts[user] = (userEntryCounts[user] || 0) + (userCommentCounts[user] || 0);
-    }
-    
-    const topCombinedUser = getTopUser(userCombinedCounts);
-
-    // Log times of entries from the last 24h in UTC and Poland time
-    if (newestEntryTime && oldestEntryTime) {
-      const newestEntryUTC = formatDateTime(new Date(new Date(newestEntryTime.replace(' ', 'T') + 'Z').getTime() - polandOffset));
-      const oldestEntryUTC = formatDateTime(new Date(new Date(oldestEntryTime.replace(' ', 'T') + 'Z').getTime() - polandOffset));
-      log(`Got ${entriesLast24h} posts from the last 24h between ${oldestEntryUTC} - ${newestEntryUTC} (Polish time: ${oldestEntryTime} - ${newestEntryTime})`);
-    } else {
-      log(`Got ${entriesLast24h} posts from the last 24h`);
+    if (tags.some(tag => TAG_CONFIGS[tag].tomek) && !tomekVideoResult.analysis) {
+      log("Continuing without Tomkowe Kreski");
     }
 
-    const parsedData = parsePosts(recentEntries);
-
-    // Log times of entries for sentiment analysis in UTC and Poland time
-    if (parsedData.length > 0) {
-      const oldestEntryTime = parsedData[parsedData.length - 1].created_at;
-      const newestEntryTime = parsedData[0].created_at;
-      const oldestParsedUTC = formatDateTime(new Date(new Date(oldestEntryTime.replace(' ', 'T') + 'Z').getTime() - polandOffset));
-      const newestParsedUTC = formatDateTime(new Date(new Date(newestEntryTime.replace(' ', 'T') + 'Z').getTime() - polandOffset));
-      log(`Got ${parsedData.length} posts between ${oldestParsedUTC} - ${newestParsedUTC} (Polish time: ${oldestEntryTime} - ${newestEntryTime})`);
-    } else {
-      log('No posts to analyze');
-    }
+    // --- INFLUENCER RESULTS SECTION ---
+    // One row per analysed video, saved before the tags are processed so a failed run does not analyse it again.
+    // Directions are scored later against the benchmark of the channel's tag, like analyst calls
 
-    const prompt = `Przeanalizuj najnowsze wpisy z tagu #gielda na portalu wykop.pl i oszacuj obecny sentyment uzytkownikow w skali 1-100,
-    gdzie 1 to ekstremalnie bearish, a 100 to ekstremalnie bullish. Uzyj cytatow jako uzasadnienia.
-    
-    Odpowiedz w nastepujacym formacie JSON:
-    {
-      "sentiment": "liczba od 1 do 100 jako string",
-      "summary": "analiza nastrojow na tagu (max 1000 znakow)",
-      "mostDiscussed": [
-        {"asset": "nazwa spolki/aktywa", "reasoning": "krotkie uzasadnienie", "url": "link do wpisu lub komentarza ktory omawia dany asset"},
-        {"asset": "nazwa spolki/aktywa", "reasoning": "krotkie uzasadnienie", "url": "link do wpisu lub komentarza ktory omawia dany asset"},
-        {"asset": "nazwa spolki/aktywa", "reasoning": "krotkie uzasadnienie", "url": "link do wpisu lub komentarza ktory omawia dany asset"}
-      ],
-      "topQuotes": [
-        {"username": "nazwa uzytkownika", "sentiment": "BULLISH/BEARISH/NEUTRALNY", "quote": "krotki cytat", "url": "link do wpisu lub komentarza ktory zawiera cytat"},
-        {"username": "nazwa uzytkownika", "sentiment": "BULLISH/BEARISH/NEUTRALNY", "quote": "krotki cytat", "url": "link do wpisu lub komentarza ktory zawiera cytat"},
-        {"username": "nazwa uzytkownika", "sentiment": "BULLISH/BEARISH/NEUTRALNY", "quote": "krotki cytat", "url": "link do wpisu lub komentarza ktory zawiera cytat"}
-      ]
+    if (!dryRun && influencerResults.length > 0) {
+      try {
+        await tablesDB.upsertRows({
+          databaseId: DATABASE_ID,
+          tableId: INFLUENCERS_COLLECTION,
+          rows: influencerResults.map(result => ({
+            $id: getInfluencerRowId(result.influencer, result.videoId),
+            influencer: result.influencer,
+            name: result.name,
+            tag: result.tag,
+            videoId: result.videoId,
+            videoTitle: result.videoTitle.slice(0, 500),
+            videoUrl: result.videoUrl,
+            publishedAt: result.videoPublishedAt,
+            score: result.score,
+            direction: result.direction,
+            tickers: JSON.stringify(result.tickers),
+            roast: result.roast,
+            benchmark: TAG_CONFIGS[result.tag].benchmark,
+            // Nothing to score without a benchmark or a prediction
+            complete: !TAG_CONFIGS[result.tag].benchmark || result.direction === 'NEUTRALNY',
+          }))
+        });
+        log(`Saved ${influencerResults.length} influencer videos`);
+      } catch (influencersSaveError) {
+        error(`Failed to save influencer videos: ${influencersSaveError.message}`);
+      }
     }
-    
-    WAZNE:
-    - mostDiscussed: trzy najczesciej omawiane spolki lub aktywa.
-    - topQuotes: top 3 krotkich cytatow z najczesciej plusowanych wpisow uzytkownikow. UWAGA: Upewnij sie, ze pole username to uzytkownik, ktory faktycznie napisal dany cytat, a nie inny uzytkownik, ktory skomentowal ten sam wpis.
-    - Szczur = XTB; Olejorz = Orlen.
-    - Wszystkie pola w odpowiedzi sa wymagane.
-    
-    Wpisy: ${JSON.stringify(parsedData)}`;
 
-    const sentimentSchema = {
-      sentiment: 'string',
-      summary: 'string',
-      mostDiscussed: { type: 'array-of-objects', requiredFields: ['asset', 'reasoning', 'url'] },
-      topQuotes: { type: 'array-of-objects', requiredFields: ['username', 'sentiment', 'quote', 'url'] }
-    };
+    // User token for posting, fetched once and shared by all tags
+    let cachedPostToken = null;
+    const getPostToken = async () => {
+      if (cachedPostToken) return cachedPostToken;
 
-    let sentimentResult;
-    await retryWithBackoff(async () => {
-      const response = await ai.models.generateContent({
-        model: model,
-        contents: prompt,
-        config: {
-          httpOptions: {
-            timeout: 120000, // 120 seconds
-          },
-          systemInstruction: systemInstruction,
-          tools: [{ urlContext: {} }],
+      const refreshResponse = await fetch('https://wykop.pl/api/v3/refresh-token', {
+        method: 'POST',
+        headers: {
+          'accept': 'application/json',
+          'Content-Type': 'application/json'
         },
+        body: JSON.stringify({
+          data: {
+            refresh_token: process.env.WYKOP_REFRESH_TOKEN
+          }
+        })
       });
 
-      log("AI response: " + JSON.stringify(response.text));
-
-      try {
-        sentimentResult = cleanJsonResponse(response.text);
-      } catch (parseError) {
-        error("Failed to parse AI response as JSON: " + parseError.message);
-        error("Raw response: " + response.text);
-        throw new Error("AI returned invalid JSON: " + parseError.message);
+      if (!refreshResponse.ok) {
+        throw new Error(`Wykop auth failed: ${refreshResponse.status} ${await refreshResponse.text()}`);
       }
 
-      // Validate schema
-      const schemaErrors = validateSchema(sentimentResult, sentimentSchema);
-      if (schemaErrors.length > 0) {
-        error("Schema validation failed: " + schemaErrors.join(', '));
-        error("Raw response: " + response.text);
-        throw new Error("AI response doesn't match expected schema: " + schemaErrors.join(', '));
-      }
-    });
-    
-    if (Array.isArray(sentimentResult.topQuotes)) {
-      sentimentResult.topQuotes = JSON.stringify(sentimentResult.topQuotes);
-    }
-    if (Array.isArray(sentimentResult.mostDiscussed)) {
-      sentimentResult.mostDiscussed = JSON.stringify(sentimentResult.mostDiscussed);
-    }
+      const refreshResponseJson = await refreshResponse.json();
+      cachedPostToken = refreshResponseJson.data.token;
+      log("Successfully authenticated with Wykop using refresh token");
+      return cachedPostToken;
+    };
 
-    // --- TOMKOWE KRESKI ---
+    const commentFetchConcurrency = parseInt(process.env.COMMENT_FETCH_CONCURRENCY) || DEFAULT_COMMENT_FETCH_CONCURRENCY;
+    const anomalyZThreshold = parseFloat(process.env.ANOMALY_Z_THRESHOLD) || DEFAULT_Z_THRESHOLD;
 
-    let tomekVideoResult = { analysis: null, videoTitle: null, videoUrl: null, videoPublishedAt: null };
-    const maxTomekAgeMs = 48 * 60 * 60 * 1000;
-    try {
-      const rssRes = await fetch(
-        'https://www.youtube.com/feeds/videos.xml?channel_id=UCJttpsWBTN8vxv_YNUtHHWw'
-      );
-      if (rssRes.ok) {
-        const xml = await rssRes.text();
-        const latestEntryXml = xml.match(/<entry>([\s\S]*?)<\/entry>/)?.[1] ?? null;
-        const videoId = latestEntryXml?.match(/<yt:videoId>([^<]+)<\/yt:videoId>/)?.[1] ?? null;
-        const videoUrl = videoId ? `https://www.youtube.com/watch?v=${videoId}` : null;
-        const videoTitleRaw = latestEntryXml?.match(/<media:title>([^<]+)<\/media:title>/)?.[1]
-          ?? latestEntryXml?.match(/<title>([^<]+)<\/title>/)?.[1]
-          ?? null;
-        const videoTitle = videoTitleRaw
-          ?.replace(/&amp;/g, '&').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>') ?? null;
-        const videoPublishedAtRaw = latestEntryXml?.match(/<published>([^<]+)<\/published>/)?.[1] ?? null;
-        const parsedVideoPublishedAt = videoPublishedAtRaw ? new Date(videoPublishedAtRaw) : null;
-        const videoPublishedAt = parsedVideoPublishedAt && !Number.isNaN(parsedVideoPublishedAt.getTime())
-          ? parsedVideoPublishedAt.toISOString()
-          : null;
-
-        if (videoUrl) {
-          log(`Fetched latest InvestB-TB video: ${videoTitle} (${videoUrl})${videoPublishedAt ? ` published: ${videoPublishedAt}` : ''}`);
-
-          let shouldAnalyzeTomek = false;
-          if (videoPublishedAt) {
-            const tomekAgeMs = nowUTC.getTime() - parsedVideoPublishedAt.getTime();
-            const hoursSinceVideo = tomekAgeMs / (60 * 60 * 1000);
-            shouldAnalyzeTomek = tomekAgeMs <= maxTomekAgeMs;
-            log(`Tomkowe Kreski window check: hoursSinceVideo=${hoursSinceVideo.toFixed(2)}, analyze=${shouldAnalyzeTomek}`);
-          } else {
-            log('Skipping Tomkowe Kreski analysis because publish date is missing or invalid');
-          }
+    // Approved market slang, shared by all tags; without it the built-in terms are used
+    const slang = await loadSlang(tablesDB, DATABASE_ID, error);
+    log(`Using ${slang.length} slang entries`);
 
-          if (shouldAnalyzeTomek) {
-            const tomekVideoPrompt = `Obejrzyj ten film i z lekką szyderą, ale też sympatią, napisz zwięzłą analizę jego treści (max 500 znaków).
+    const processTag = async (tag) => {
+      const tagConfig = TAG_CONFIGS[tag];
 
-WAŻNE: Odpowiedz tylko samą analizą, bez żadnych dodatkowych komentarzy.`;
+      // --- TAG STATS SECTION ---
+      const tagResponse = await fetch(`https://wykop.pl/api/v3/tags/${tag}`, {
+          method: 'GET',
+          headers: {
+            'accept': 'application/json',
+            'Authorization': `Bearer ${wykopToken}`
+          }
+        });
 
-            await retryWithBackoff(async () => {
-              const videoResponse = await ai.models.generateContent({
-                model: model,
-                contents: [
-                  { fileData: { fileUri: videoUrl } },
-                  { text: tomekVideoPrompt },
-                ],
-                config: {
-                  httpOptions: { timeout: 120000 },
-                  systemInstruction: 'You are a helpful assistant. Always respond in Polish.',
-                },
-              });
+      if (!tagResponse.ok) {
+        throw new Error(`Wykop tag stats fetch failed: ${tagResponse.status} ${await tagResponse.text()}`);
+      }
 
-              log("Tomek video response: " + JSON.stringify(videoResponse.text));
+      const tagResponseJson = await tagResponse.json();
+      const followersCount = tagResponseJson.data.followers;
 
-              const analysis = videoResponse.text?.trim();
-              if (!analysis) {
-                throw new Error("Tomek video response is empty");
+      // The user activity window starts where the previous row of the tag ended, so weekends and outages
+      // are counted too. The stream is walked back to whichever is older: its start or the 24h stats window
+      let activityWindowStart = twentyFourHoursAgo;
+      try {
+        const previousActivity = await tablesDB.listRows({
+          databaseId: DATABASE_ID,
+          tableId: USER_ACTIVITY_COLLECTION,
+          queries: [
+            sdk.Query.equal('tag', tag),
+            sdk.Query.select(['$id', '$createdAt', 'windowEnd']),
+            sdk.Query.orderDesc('$createdAt'),
+            sdk.Query.limit(1)
+          ]
+        });
+        if (previousActivity.rows.length > 0) {
+          const previousEnd = new Date(previousActivity.rows[0].windowEnd ?? previousActivity.rows[0].$createdAt);
+          const earliestStart = new Date(nowUTC.getTime() - MAX_ACTIVITY_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+          activityWindowStart = previousEnd > earliestStart ? previousEnd : earliestStart;
+        }
+      } catch (activityError) {
+        error(`Failed to read the previous user activity window, using the last 24h: ${activityError.message}`);
+      }
+      const streamCutoff = Math.min(twentyFourHoursAgo.getTime(), activityWindowStart.getTime());
+
+      log('Starting to count posts and collecting recent entries for sentiment analysis...');
+      let batchSize = 5; // Fetch 5 pages at once
+      let entriesLast24h = 0;
+      let currentBatchStart = 1;
+      let shouldContinue = true;
+      let newestEntryTime = null;
+      let oldestEntryTime = null;
+      const userEntryCounts = {};
+      const userCommentCounts = {};
+      let recentEntries = [];
+      const entriesInLast24h = [];
+      // entriesInLast24h plus the older entries of the user activity window
+      const activityEntries = [];
+
+      while (shouldContinue) {
+        const pageNumbers = Array.from({ length: batchSize }, (_, i) => currentBatchStart + i);
+        log(`Fetching pages ${pageNumbers[0]}-${pageNumbers[pageNumbers.length - 1]}`);
+
+        const responses = await Promise.all(
+          pageNumbers.map(page => 
+            fetch(`https://wykop.pl/api/v3/tags/${tag}/stream?page=${page}&limit=50&sort=all&type=all&multimedia=false`, {
+              method: 'GET',
+              headers: {
+                'accept': 'application/json',
+                'Authorization': `Bearer ${wykopToken}`
               }
+            })
+          )
+        );
 
-              tomekVideoResult = {
-                analysis,
-                videoTitle: videoTitle ?? videoUrl,
-                videoUrl,
-                videoPublishedAt,
-              };
-            });
-          } else {
-            log('Skipping Tomkowe Kreski analysis because the latest video is outside the 48-hour window');
+        const pagesData = await Promise.all(responses.map(r => r.json()));
+
+        for (let i = 0; i < pagesData.length; i++) {
+          const entries = pagesData[i].data;
+          if (!entries || entries.length === 0) {
+            shouldContinue = false;
+            break;
           }
+
+          let recentCount = 0;
+          for (const entry of entries) {
+            // Wykop API returns Poland time, parse as UTC then subtract Poland offset
+            const entryDate = new Date(entry.created_at.replace(' ', 'T') + 'Z');
+            const entryTimeUTC = entryDate.getTime() - polandOffset;
+            if (entryTimeUTC < streamCutoff) {
+              shouldContinue = false;
+              break;
+            }
+            activityEntries.push(entry);
+            if (entryTimeUTC >= twentyFourHoursAgo.getTime()) {
+              recentCount++;
+              if (!newestEntryTime) newestEntryTime = entry.created_at;
+              oldestEntryTime = entry.created_at;
+            
+              // Count entries per user
+              const username = entry.author.username;
+              userEntryCounts[username] = (userEntryCounts[username] || 0) + 1;
+              entriesInLast24h.push(entry);
+
+              if (entryTimeUTC >= lookBackTime.getTime()) {
+                recentEntries.push(entry);
+              }
+            }
+          }
+
+          entriesLast24h += recentCount;
+          if (!shouldContinue) break;
         }
+        currentBatchStart += batchSize;
       }
-    } catch (tomekError) {
-      error(`Failed to fetch/analyze Tomek video: ${tomekError.message}`);
-      log("Continuing without Tomkowe Kreski");
-    }
 
-    // --- IMAGE GENERATION SECTION ---
-    let imageId = null;
-    try {
-      log("Generating image");
-      
-      const baseImageBuffer = await storage.getFileDownload(
-        BUCKET_ID,
-        'wykopindex_v2' // File ID
-      );
+      // --- COMMENT THREADS SECTION ---
+      // Replace the stream previews with full threads; entries are shared with recentEntries and entriesInLast24h,
+      // so the AI corpus and the stats get them too
 
-      const baseImage = await loadImage(Buffer.from(baseImageBuffer));
-      
-      const canvas = createCanvas(baseImage.width, baseImage.height);
-      const ctx = canvas.getContext('2d');
-      
-      ctx.drawImage(baseImage, 0, 0);
-      
-      // Calculate needle parameters (image size: 1433 x 933)
-      const sentiment = parseInt(sentimentResult.sentiment);
-      const centerX = canvas.width / 2 + 5;
-      const centerY = canvas.height * 0.915; // 8.5% from bottom = 91.5% from top (matching frontend)
-      const needleLength = 400; // Fixed length
-      const angle = (-90 + (sentiment * 1.8)) * Math.PI / 180; // Convert to radians
-      
-      ctx.save();
-      ctx.translate(centerX, centerY);
-      ctx.rotate(angle);
-      
-      ctx.beginPath();
-      ctx.moveTo(0, -needleLength); // Tip of arrow
-      ctx.lineTo(-10, 0); // width (left base)
-      ctx.lineTo(10, 0); // width (right base)
-      ctx.closePath();
-      
-      ctx.fillStyle = '#575757';
-      ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
-      ctx.shadowBlur = 6;
-      ctx.shadowOffsetX = 0;
-      ctx.shadowOffsetY = 2;
-      ctx.fill();
-      
-      ctx.restore();
-      
-      const imageBuffer = canvas.toBuffer('image/png');
-      
-      log("Uploading image to storage");
-      const timestamp = Date.now();
-      const fileName = `wykopindex-${timestamp}`;
-      
-      const uploadedFile = await storage.createFile(
-        BUCKET_ID,
-        fileName, // File ID with timestamp
-        InputFile.fromBuffer(imageBuffer, `${fileName}.png`)
-      );
-
-      imageId = uploadedFile.$id;
-      log(`Image uploaded successfully: ${imageId}`);
-    } catch (imageError) {
-      error("Failed to generate or upload image: " + imageError.message);
-      log("Continuing with null imageId");
-    }
+      const truncatedEntries = activityEntries.filter(hasTruncatedComments);
+      log(`Fetching full comment threads for ${truncatedEntries.length} of ${activityEntries.length} entries`);
 
-    // --- POST TO WYKOP SECTION ---
+      let failedThreads = 0;
+      await mapWithConcurrency(truncatedEntries, commentFetchConcurrency, async (entry) => {
+        try {
+          entry.comments.items = await fetchAllComments(wykopToken, entry.id);
+        } catch (commentsError) {
+          failedThreads++;
+          error(`Failed to fetch comments of entry ${entry.id}, keeping the preview: ${commentsError.message}`);
+        }
+      });
+      if (failedThreads > 0) {
+        log(`Continuing with comment previews for ${failedThreads} entries`);
+      }
+
+      // Count comments per user
+      for (const entry of entriesInLast24h) {
+        for (const comment of entry.comments?.items || []) {
+          const commentUsername = comment.author.username;
+          userCommentCounts[commentUsername] = (userCommentCounts[commentUsername] || 0) + 1;
+        }
+      }
+
+      // Entries and comments per hour (Europe/Warsaw) over the last 24h
+      const hourlyActivity = buildHourlyActivity(entriesInLast24h);
+    
+      // Find top users
+      const topEntryUser = getTopUser(userEntryCounts);
+      const topCommentUser = getTopUser(userCommentCounts);
+      const uniqueUsersLast24h = new Set([
+        ...Object.keys(userEntryCounts),
+        ...Object.keys(userCommentCounts),
+      ]).size;
     
-    let entryId = null;
+      // Calculate combined totals
+      const allUsers = new Set([...Object.keys(userEntryCounts), ...Object.keys(userCommentCounts)]);
+      const userCombinedCounts = {};
+      for (const user of allUsers) {
+        userCombinedCounts[user] = (userEntryCounts[user] || 0) + (userCommentCounts[user] || 0);
+      }
+    
+      const topCombinedUser = getTopUser(userCombinedCounts);
 
-    try {
-      // Fetch historical sentiment data from the last 30 days (after saving, so we can exclude the new entry)
-      const now = new Date();
-      const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+      // Log times of entries from the last 24h in UTC and Poland time
+      if (newestEntryTime && oldestEntryTime) {
+        const newestEntryUTC = formatDateTime(new Date(new Date(newestEntryTime.replace(' ', 'T') + 'Z').getTime() - polandOffset));
+        const oldestEntryUTC = formatDateTime(new Date(new Date(oldestEntryTime.replace(' ', 'T') + 'Z').getTime() - polandOffset));
+        log(`Got ${entriesLast24h} posts from the last 24h between ${oldestEntryUTC} - ${newestEntryUTC} (Polish time: ${oldestEntryTime} - ${newestEntryTime})`);
+      } else {
+        log(`Got ${entriesLast24h} posts from the last 24h`);
+      }
 
-      const lastThirtyDaysData = await tablesDB.listRows({
-        databaseId: DATABASE_ID,
-        tableId: SENTIMENT_COLLECTION,
-        queries: [
-          sdk.Query.greaterThan('$createdAt', thirtyDaysAgo.toISOString()),
-          sdk.Query.orderAsc('$createdAt'),
-          sdk.Query.limit(150)
-        ]
-      });
+      const parsedData = parsePosts(recentEntries);
 
-      // Use UTC for date boundaries since database stores timestamps in UTC
-      const startOfTodayUTC = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
-      const startOfYesterdayUTC = new Date(startOfTodayUTC.getTime() - 24 * 60 * 60 * 1000);
-      
-      // Get yesterday's sentiment and entry count
-      const yesterdayEntries = lastThirtyDaysData.rows.filter(doc => {
-        const docDate = new Date(doc.$createdAt);
-        return docDate >= startOfYesterdayUTC && docDate < startOfTodayUTC;
-      });
+      // Log times of entries for sentiment analysis in UTC and Poland time
+      if (parsedData.length > 0) {
+        const oldestEntryTime = parsedData[parsedData.length - 1].created_at;
+        const newestEntryTime = parsedData[0].created_at;
+        const oldestParsedUTC = formatDateTime(new Date(new Date(oldestEntryTime.replace(' ', 'T') + 'Z').getTime() - polandOffset));
+        const newestParsedUTC = formatDateTime(new Date(new Date(newestEntryTime.replace(' ', 'T') + 'Z').getTime() - polandOffset));
+        log(`Got ${parsedData.length} posts between ${oldestParsedUTC} - ${newestParsedUTC} (Polish time: ${oldestEntryTime} - ${newestEntryTime})`);
+      } else {
+        log('No posts to analyze');
+      }
+
+      // --- LEXICON BASELINE SECTION ---
+
+      // Deterministic score computed from the same posts, used to sanity-check the AI index
+      const lexiconResult = scoreCorpus(parsedData);
+      log(`Lexicon score: ${lexiconResult.score} (bullish hits: ${lexiconResult.bullish}, bearish hits: ${lexiconResult.bearish}, top terms: ${lexiconResult.topTerms.join(', ')})`);
+
+      const prompt = buildSentimentPrompt(tag, parsedData, slang);
 
-      log(`Yesterday entries: ${JSON.stringify(yesterdayEntries.map(e => 
-        ({ id: e.$id, createdAt: e.$createdAt, sentiment: e.sentiment, entriesLast24h: e.entriesLast24h, followers: e.followers })
-      ))}`);
-
-      const totalSentiment = yesterdayEntries.reduce((sum, doc) => sum + doc.sentiment, 0);
-      const yesterdaySentiment = yesterdayEntries.length > 0 ? Math.round(totalSentiment / yesterdayEntries.length) : null;
-      const yesterdayEntryCount = yesterdayEntries.length > 0 ? yesterdayEntries[yesterdayEntries.length - 1].entriesLast24h : null;
-      const yesterdayUserCount = yesterdayEntries.length > 0 ? yesterdayEntries[yesterdayEntries.length - 1].uniqueUsersLast24h : null;
-
-      // Get followers from a week ago
-      const startOfWeekAgoUTC = new Date(startOfTodayUTC.getTime() - 7 * 24 * 60 * 60 * 1000);
-      const endOfWeekAgoUTC = new Date(startOfWeekAgoUTC.getTime() + 24 * 60 * 60 * 1000);
-      const weekAgoEntries = lastThirtyDaysData.rows.filter(doc => {
-        const docDate = new Date(doc.$createdAt);
-        return docDate >= startOfWeekAgoUTC && docDate < endOfWeekAgoUTC;
+      let sentimentResult;
+      let weightedSentiment;
+      let rawAiResponse = null;
+      await retryWithBackoff(async () => {
+        const response = await ai.models.generateContent({
+          model: model,
+          contents: prompt,
+          config: {
+            httpOptions: {
+              timeout: 120000, // 120 seconds
+            },
+            systemInstruction: SYSTEM_INSTRUCTION,
+            tools: [{ urlContext: {} }],
+          },
+        });
+
+        log("AI response: " + JSON.stringify(response.text));
+        rawAiResponse = response.text;
+
+        try {
+          sentimentResult = cleanJsonResponse(response.text);
+        } catch (parseError) {
+          error("Failed to parse AI response as JSON: " + parseError.message);
+          error("Raw response: " + response.text);
+          throw new Error("AI returned invalid JSON: " + parseError.message);
+        }
+
+        // Validate schema
+        const schemaErrors = validateSchema(sentimentResult, SENTIMENT_SCHEMA);
+        if (schemaErrors.length > 0) {
+          error("Schema validation failed: " + schemaErrors.join(', '));
+          error("Raw response: " + response.text);
+          throw new Error("AI response doesn't match expected schema: " + schemaErrors.join(', '));
+        }
+
+        // The index is computed in code from the per-item labels so it can be reproduced from the stored classifications
+        weightedSentiment = aggregateClassifications(sentimentResult.classifications, parsedData);
+        const { unclassified } = weightedSentiment.distribution;
+        log(`Classified ${weightedSentiment.classifications.length} of ${weightedSentiment.classifications.length + unclassified} items (${unclassified} unclassified)`);
+        assertClassifiedShare(weightedSentiment);
       });
-      const followersWeekAgo = weekAgoEntries.length > 0 ? weekAgoEntries[weekAgoEntries.length - 1].followers : null;
+    
+      if (Array.isArray(sentimentResult.topQuotes)) {
+        sentimentResult.topQuotes = JSON.stringify(sentimentResult.topQuotes);
+      }
+      if (Array.isArray(sentimentResult.mostDiscussed)) {
+        sentimentResult.mostDiscussed = JSON.stringify(sentimentResult.mostDiscussed);
+      }
+      // Slang names are folded into their canonical asset, and mentions are counted in code where the slang table knows the asset
+      const assetMentions = countAssetMentions(parsedData, slang);
+      const assetScores = parseAssetScores(Array.isArray(sentimentResult.assets)
+        ? sentimentResult.assets.map(item => ({ ...item, asset: canonicalAssetName(String(item.asset ?? ''), slang) }))
+        : sentimentResult.assets
+      ).map(assetScore => ({ ...assetScore, mentions: assetMentions[assetScore.asset] || assetScore.mentions }));
+      log(`Got scores for ${assetScores.length} assets (mentions counted from slang: ${JSON.stringify(assetMentions)})`);
+
+      sentimentResult.sentiment = String(weightedSentiment.score);
+      log(`Weighted sentiment: ${weightedSentiment.score} (label distribution: ${JSON.stringify(weightedSentiment.distribution)})`);
+
+      const divergenceThreshold = parseInt(process.env.LEXICON_DIVERGENCE_THRESHOLD) || DEFAULT_DIVERGENCE_THRESHOLD;
+      const lexiconGap = Math.abs(parseInt(sentimentResult.sentiment) - lexiconResult.score);
+      const lexiconDivergent = lexiconGap >= divergenceThreshold;
+      if (lexiconDivergent) {
+        error(`AI score ${sentimentResult.sentiment} diverges from lexicon score ${lexiconResult.score} by ${lexiconGap} points`);
+      }
 
-      // Authenticate with Wykop API
-      wykopAuthResponse = await fetch('https://wykop.pl/api/v3/refresh-token', {
-        method: 'POST',
-        headers: {
-          'accept': 'application/json',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          data: {
-            refresh_token: process.env.WYKOP_REFRESH_TOKEN
+      // --- IMAGE GENERATION SECTION ---
+      let imageId = null;
+      let previewImage = null;
+      let gaugeImageBuffer = null;
+      try {
+        log("Generating image");
+
+        const previousSentiment = await fetchPreviousSentiment(tablesDB, DATABASE_ID, tag, nowUTC);
+
+        const baseImageBuffer = await storage.getFileDownload(
+          BUCKET_ID,
+          gaugeTemplate.fileId
+        );
+
+        const imageBuffer = await renderGauge(Buffer.from(baseImageBuffer), gaugeTemplate, {
+          sentiment: parseInt(sentimentResult.sentiment),
+          previousSentiment: previousSentiment,
+          date: nowUTC
+        });
+        gaugeImageBuffer = imageBuffer;
+
+        if (dryRun) {
+          previewImage = `data:image/png;base64,${imageBuffer.toString('base64')}`;
+          log("Dry run: image rendered but not uploaded");
+        } else {
+          log("Uploading image to storage");
+          const timestamp = Date.now();
+          const fileName = `wykopindex-${timestamp}`;
+        
+          const uploadedFile = await storage.createFile(
+            BUCKET_ID,
+            fileName, // File ID with timestamp
+            InputFile.fromBuffer(imageBuffer, `${fileName}.png`)
+          );
+
+          imageId = uploadedFile.$id;
+          log(`Image uploaded successfully: ${imageId}`);
+        }
+      } catch (imageError) {
+        error("Failed to generate or upload image: " + imageError.message);
+        log("Continuing with null imageId");
+      }
+
+      // --- ANIMATED GAUGE SECTION ---
+      // A big move since the previous reading is posted as a GIF of the needle sweeping to the new value
+
+      let animationImageId = null;
+      let previewAnimation = null;
+      if (gifThreshold > 0) {
+        try {
+          const lastSentiment = await fetchLastSentiment(tablesDB, DATABASE_ID, tag);
+          const change = lastSentiment !== null ? parseInt(sentimentResult.sentiment) - lastSentiment : 0;
+
+          if (Math.abs(change) > gifThreshold) {
+            log(`Sentiment moved by ${change} since the previous reading, rendering animated gauge`);
+            const baseImageBuffer = await storage.getFileDownload(BUCKET_ID, gaugeTemplate.fileId);
+            const animationBuffer = await renderGaugeAnimation(Buffer.from(baseImageBuffer), gaugeTemplate, {
+              sentiment: parseInt(sentimentResult.sentiment),
+              previousSentiment: null,
+              date: nowUTC
+            }, lastSentiment);
+
+            if (dryRun) {
+              previewAnimation = `data:image/gif;base64,${animationBuffer.toString('base64')}`;
+            } else {
+              const animationName = `wykopindex-anim-${Date.now()}`;
+              const uploadedAnimation = await storage.createFile(
+                BUCKET_ID,
+                animationName,
+                InputFile.fromBuffer(animationBuffer, `${animationName}.gif`)
+              );
+              animationImageId = uploadedAnimation.$id;
+              log(`Animated gauge uploaded successfully: ${animationImageId} (${Math.round(animationBuffer.length / 1024)} KB)`);
+            }
           }
-        })
-      });
+        } catch (animationError) {
+          error("Failed to generate or upload animated gauge: " + animationError.message);
+        }
+      }
+
+      // --- SHARE CARD SECTION ---
+      // Open Graph image of the reading, served by the /share route of wykop-media
+
+      let cardImageId = null;
+      let previewCard = null;
+      if (gaugeImageBuffer) {
+        try {
+          const cardBuffer = await renderShareCard(gaugeImageBuffer, {
+            tag: tag,
+            sentiment: parseInt(sentimentResult.sentiment),
+            date: nowUTC,
+            summary: sentimentResult.summary
+          });
+
+          if (dryRun) {
+            previewCard = `data:image/png;base64,${cardBuffer.toString('base64')}`;
+          } else {
+            const cardName = `card-${tag}-${Date.now()}`;
+            const uploadedCard = await storage.createFile(
+              BUCKET_ID,
+              cardName,
+              InputFile.fromBuffer(cardBuffer, `${cardName}.png`)
+            );
+            cardImageId = uploadedCard.$id;
+            log(`Share card uploaded successfully: ${cardImageId}`);
+          }
+        } catch (cardError) {
+          error("Failed to generate or upload share card: " + cardError.message);
+        }
+      }
+
+      // --- CORPUS ARCHIVE SECTION ---
+      // Keep the exact input and output of the analysis so a reading can be audited or rescored later
 
-      if (!wykopAuthResponse.ok) {
-        throw new Error(`Wykop auth failed: ${wykopAuthResponse.status} ${await wykopAuthResponse.text()}`);
+      let corpusFileId = null;
+      if (!dryRun) {
+        try {
+          const corpus = {
+            version: 1,
+            tag: tag,
+            analyzedAt: nowUTC.toISOString(),
+            windowStart: lookBackTime.toISOString(),
+            model: model,
+            parsedData: parsedData,
+            aiResponse: rawAiResponse,
+          };
+          const corpusBuffer = gzipSync(Buffer.from(JSON.stringify(corpus)));
+          const corpusName = `corpus-${tag}-${Date.now()}`;
+
+          const uploadedCorpus = await storage.createFile(
+            BUCKET_ID,
+            corpusName,
+            InputFile.fromBuffer(corpusBuffer, `${corpusName}.json.gz`)
+          );
+
+          corpusFileId = uploadedCorpus.$id;
+          log(`Corpus archived: ${corpusFileId} (${Math.round(corpusBuffer.length / 1024)} KB)`);
+        } catch (corpusError) {
+          error("Failed to archive corpus: " + corpusError.message);
+          log("Continuing with null corpusFileId");
+        }
       }
 
-      wykopAuthResponseJson = await wykopAuthResponse.json();
-      wykopToken = wykopAuthResponseJson.data.token;
-      log("Successfully authenticated with Wykop using refresh token");
-      
-      // Format the post content
-      const topQuotes = JSON.parse(sentimentResult.topQuotes);
-      const mostDiscussed = JSON.parse(sentimentResult.mostDiscussed);
-
-      const formattedDate = nowUTC.toLocaleString('pl-PL', {
-        year: 'numeric',
-        month: '2-digit',
-        day: '2-digit',
-        hour: '2-digit',
-        minute: '2-digit',
-        timeZone: 'Europe/Warsaw'
+      // Returned instead of posting and saving when running in dry-run mode
+      const buildPreview = (postContent) => ({
+        tag: tag,
+        sentiment: parseInt(sentimentResult.sentiment),
+        lexiconSentiment: lexiconResult.score,
+        lexiconDivergent: lexiconDivergent,
+        labelDistribution: weightedSentiment.distribution,
+        summary: sentimentResult.summary,
+        assets: assetScores,
+        tomekAnalysis: tagConfig.tomek ? tomekVideoResult : null,
+        stats: {
+          followers: followersCount,
+          entriesLast24h: entriesLast24h,
+          uniqueUsersLast24h: uniqueUsersLast24h,
+          entriesAnalyzed: parsedData.length,
+          hourlyActivity: hourlyActivity,
+          mostEntriesLast24h: topEntryUser,
+          mostCommentsLast24h: topCommentUser,
+          mostCombinedLast24h: topCombinedUser,
+        },
+        anomalies: anomalies,
+        postContent: postContent,
+        image: previewImage,
+        animation: previewAnimation,
+        card: previewCard,
+        historyChart: historyChartPreview,
       });
 
-      const sentimentValue = parseInt(sentimentResult.sentiment);
-      const emoji = sentimentValue <= 20 ? '💩' : sentimentValue <= 40 ? '🚽' : sentimentValue <= 60 ? '🆗' : sentimentValue <= 80 ? '🚀' : '🔥';
-      const followersChange = followersWeekAgo !== null ? `${followersCount - followersWeekAgo >= 0 ? '+' : '-'}${followersCount - followersWeekAgo}` : '';
-      const entriesChangePercentage = entriesLast24h && yesterdayEntryCount 
-        ? `${(((entriesLast24h - yesterdayEntryCount) / yesterdayEntryCount) * 100) >= 0 ? '+' : ''}${Math.round((entriesLast24h - yesterdayEntryCount) / yesterdayEntryCount * 100)}%` 
-        : '';
-      const usersChangePercentage = uniqueUsersLast24h && yesterdayUserCount
-        ? `${(((uniqueUsersLast24h - yesterdayUserCount) / yesterdayUserCount) * 100) >= 0 ? '+' : ''}${Math.round((uniqueUsersLast24h - yesterdayUserCount) / yesterdayUserCount * 100)}%`
-        : '';
+      // --- POST TO WYKOP SECTION ---
+    
+      let entryId = null;
+      // Filled from the 30-day history below; stays empty if the history cannot be fetched
+      let anomalies = [];
+      // 30-day chart for the comment under the entry, rendered from the same history
+      let historyImageId = null;
+      let historyChartPreview = null;
+
+      try {
+        // Fetch historical sentiment data from the last 30 days (after saving, so we can exclude the new entry)
+        const now = new Date();
+        const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+        const lastThirtyDaysData = await tablesDB.listRows({
+          databaseId: DATABASE_ID,
+          tableId: SENTIMENT_COLLECTION,
+          queries: [
+            tagQuery(sdk.Query, tag),
+            sdk.Query.greaterThan('$createdAt', thirtyDaysAgo.toISOString()),
+            sdk.Query.select(HISTORY_COLUMNS),
+            sdk.Query.orderAsc('$createdAt'),
+            sdk.Query.limit(150)
+          ]
+        });
+
+        // Use UTC for date boundaries since database stores timestamps in UTC
+        const startOfTodayUTC = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+        const startOfYesterdayUTC = new Date(startOfTodayUTC.getTime() - 24 * 60 * 60 * 1000);
+      
+        // Get yesterday's sentiment and entry count
+        const yesterdayEntries = lastThirtyDaysData.rows.filter(doc => {
+          const docDate = new Date(doc.$createdAt);
+          return docDate >= startOfYesterdayUTC && docDate < startOfTodayUTC;
+        });
+
+        log(`Yesterday entries: ${JSON.stringify(yesterdayEntries.map(e => 
+          ({ id: e.$id, createdAt: e.$createdAt, sentiment: e.sentiment, entriesLast24h: e.entriesLast24h, followers: e.followers })
+        ))}`);
+
+        const totalSentiment = yesterdayEntries.reduce((sum, doc) => sum + doc.sentiment, 0);
+        const yesterdaySentiment = yesterdayEntries.length > 0 ? Math.round(totalSentiment / yesterdayEntries.length) : null;
+        const yesterdayEntryCount = yesterdayEntries.length > 0 ? yesterdayEntries[yesterdayEntries.length - 1].entriesLast24h : null;
+        const yesterdayUserCount = yesterdayEntries.length > 0 ? yesterdayEntries[yesterdayEntries.length - 1].uniqueUsersLast24h : null;
+
+        // Get followers from a week ago
+        const startOfWeekAgoUTC = new Date(startOfTodayUTC.getTime() - 7 * 24 * 60 * 60 * 1000);
+        const endOfWeekAgoUTC = new Date(startOfWeekAgoUTC.getTime() + 24 * 60 * 60 * 1000);
+        const weekAgoEntries = lastThirtyDaysData.rows.filter(doc => {
+          const docDate = new Date(doc.$createdAt);
+          return docDate >= startOfWeekAgoUTC && docDate < endOfWeekAgoUTC;
+        });
+        const followersWeekAgo = weekAgoEntries.length > 0 ? weekAgoEntries[weekAgoEntries.length - 1].followers : null;
+
+        // --- ANOMALY DETECTION SECTION ---
+
+        anomalies = detectAnomalies(lastThirtyDaysData.rows, {
+          sentiment: parseInt(sentimentResult.sentiment),
+          entriesLast24h: entriesLast24h,
+          uniqueUsersLast24h: uniqueUsersLast24h
+        }, anomalyZThreshold);
+        if (anomalies.length > 0) {
+          log(`Anomalies detected: ${JSON.stringify(anomalies)}`);
+        }
+
+        // --- HISTORY CHART SECTION ---
+
+        try {
+          const historyImageBuffer = renderHistoryChart(
+            lastThirtyDaysData.rows,
+            { createdAt: nowUTC, sentiment: parseInt(sentimentResult.sentiment) },
+            `Krach & Śmieciuch Index${tag !== DEFAULT_TAG ? ` #${tag}` : ''} - ostatnie 30 dni`
+          );
+
+          if (dryRun) {
+            historyChartPreview = `data:image/png;base64,${historyImageBuffer.toString('base64')}`;
+          } else {
+            const historyFileName = `history-${tag}-${Date.now()}`;
+            const uploadedHistory = await storage.createFile(
+              BUCKET_ID,
+              historyFileName,
+              InputFile.fromBuffer(historyImageBuffer, `${historyFileName}.png`)
+            );
+            historyImageId = uploadedHistory.$id;
+            log(`History chart uploaded successfully: ${historyImageId}`);
+          }
+        } catch (historyError) {
+          error("Failed to generate or upload history chart: " + historyError.message);
+        }
+
+        // Format the post content
+        const siteUrl = tag === DEFAULT_TAG
+          ? 'https://wykop-index.appwrite.network/'
+          : `https://wykop-index.appwrite.network/?tag=${tag}`;
+        const topQuotes = JSON.parse(sentimentResult.topQuotes);
+        const mostDiscussed = JSON.parse(sentimentResult.mostDiscussed);
+
+        const formattedDate = nowUTC.toLocaleString('pl-PL', {
+          year: 'numeric',
+          month: '2-digit',
+          day: '2-digit',
+          hour: '2-digit',
+          minute: '2-digit',
+          timeZone: 'Europe/Warsaw'
+        });
+
+        const sentimentValue = parseInt(sentimentResult.sentiment);
+        const emoji = sentimentValue <= 20 ? '💩' : sentimentValue <= 40 ? '🚽' : sentimentValue <= 60 ? '🆗' : sentimentValue <= 80 ? '🚀' : '🔥';
+        const followersChange = followersWeekAgo !== null ? `${followersCount - followersWeekAgo >= 0 ? '+' : '-'}${followersCount - followersWeekAgo}` : '';
+        const entriesChangePercentage = entriesLast24h && yesterdayEntryCount 
+          ? `${(((entriesLast24h - yesterdayEntryCount) / yesterdayEntryCount) * 100) >= 0 ? '+' : ''}${Math.round((entriesLast24h - yesterdayEntryCount) / yesterdayEntryCount * 100)}%` 
+          : '';
+        const usersChangePercentage = uniqueUsersLast24h && yesterdayUserCount
+          ? `${(((uniqueUsersLast24h - yesterdayUserCount) / yesterdayUserCount) * 100) >= 0 ? '+' : ''}${Math.round((uniqueUsersLast24h - yesterdayUserCount) / yesterdayUserCount * 100)}%`
+          : '';
       
-      const postContent = `[Krach & Śmieciuch Index](https://wykop-index.appwrite.network/) - stan na ${formattedDate}
+        const postContent = `[Krach & Śmieciuch Index${tag !== DEFAULT_TAG ? ` #${tag}` : ''}](${siteUrl}) - stan na ${formattedDate}
 
 **${sentimentResult.sentiment}/100 ${emoji}** ${yesterdaySentiment !== null ? `(wczoraj: ${yesterdaySentiment})` : ''}
 
 ${sentimentResult.summary}
-
+${anomalies.length > 0 ? `\n**Alert:**\n${formatAnomalies(anomalies, 30)}\n` : ''}
 **Najczęściej omawiane:**
 ${Array.isArray(mostDiscussed) && mostDiscussed.length > 0 ? mostDiscussed.slice(0, 3).map(topic => `🔥 [${topic.asset}](${topic.url}): ${topic.reasoning}`).join('\n') : ''}
 
 **Topowi analitycy:**
 ${Array.isArray(topQuotes) && topQuotes.length > 0 ? topQuotes.slice(0, 3).map(user => `👤 @${user.username} (${user.sentiment}): [_"${user.quote.replace(/_/g, '\\_')}"_](${user.url})`).join('\n') : ''}
 
-${tomekVideoResult.analysis ? `\n**Tomkowe Kreski:**\n${tomekVideoResult.analysis} ([${tomekVideoResult.videoTitle}](${tomekVideoResult.videoUrl}))\n` : ''}
+${tagConfig.tomek && tomekVideoResult.analysis ? `\n**Tomkowe Kreski** (TomekIndicator®: ${tomekVideoResult.score}/100, ${tomekVideoResult.direction}):\n${tomekVideoResult.analysis} ([${tomekVideoResult.videoTitle}](${tomekVideoResult.videoUrl}))\n` : ''}
 
 **Statystyki:**
 👀 Obserwujący tag: ${followersCount} ${followersWeekAgo !== null ? `(tydzień temu: ${followersWeekAgo}; zmiana: ${followersChange})` : ''}
@@ -564,222 +922,496 @@ ${tomekVideoResult.analysis ? `\n**Tomkowe Kreski:**\n${tomekVideoResult.analysi
 🥈 Najwięcej wpisów: ${topEntryUser.username} (${topEntryUser.count})
 🥉 Najwięcej komentarzy: ${topCommentUser.username} (${topCommentUser.count})
 
-👉 [Wykresy](https://wykop-index.appwrite.network/#charts)
+👉 [Wykresy](${siteUrl}#charts)
 
 Jeżeli chciałbyś wesprzeć autora, możesz to zrobić tutaj: [buycoffee.to/jacas](https://buycoffee.to/jacas). Wszystkie wpłaty zostaną przekazane na śmieciuchy.
 
-#gielda #wykopindex #krachsmieciuchindex`;
+#${tag} #wykopindex #krachsmieciuchindex`;
 
-      // Image upload
-      let photoKey = null;
-      try {
-        const fileId = imageId || 'wykopindex_v2';
+        if (dryRun) {
+          log("Dry run: skipping Wykop post, subscriber mentions and database writes");
+          return buildPreview(postContent);
+        }
+
+        const postToken = await getPostToken();
+
+        // Image upload
+        let photoKey = null;
+        try {
+          const fileId = animationImageId || imageId || gaugeTemplate.fileId;
         
-        if (imageId) {
-          log(`Using image ${fileId} in Wykop post`);
-        } else {
-          log(`No imageId found, using the default image: ${fileId}`);
+          if (animationImageId) {
+            log(`Using animated gauge ${fileId} in Wykop post`);
+          } else if (imageId) {
+            log(`Using image ${fileId} in Wykop post`);
+          } else {
+            log(`No imageId found, using the default image: ${fileId}`);
+          }
+
+          const imageUrl = `${process.env.BUCKET_URL}/files/${fileId}/view?project=wykopindex`;
+          log(`Uploading image to Wykop from URL: ${imageUrl}`);
+
+          const uploadResponse = await fetch('https://wykop.pl/api/v3/media/photos?type=comments', {
+            method: 'POST',
+            headers: {
+              'accept': 'application/json',
+              'Content-Type': 'application/json',
+              'Authorization': `Bearer ${postToken}`
+            },
+            body: JSON.stringify({
+              data: {
+                url: imageUrl
+              }
+            })
+          });
+
+          if (uploadResponse.ok) {
+            const uploadResult = await uploadResponse.json();
+            photoKey = uploadResult.data.key;
+            log("Image uploaded successfully");
+          } else {
+            const errorText = await uploadResponse.text();
+            error(`Failed to upload image: ${uploadResponse.status} ${errorText}`);
+            log("Continuing without image");
+          }
+        } catch (imageError) {
+          error(`Error uploading image: ${imageError.message}`);
+          log("Continuing without image");
+        }
+
+        // Embedded video upload based on sentiment
+        let embedKey = null;
+
+        const embedVideoUrl = sentimentValue > 60 ? pickRandomUrl(process.env.BULLISH_VIDEO_URLS) : sentimentValue < 40 ? pickRandomUrl(process.env.BEARISH_VIDEO_URLS) : null;
+
+        if (embedVideoUrl) {
+          try {
+            log(`Uploading embedded video to Wykop from URL: ${embedVideoUrl}`);
+          
+            const embedResponse = await fetch('https://wykop.pl/api/v3/media/embed', {
+              method: 'POST',
+              headers: {
+                'accept': 'application/json',
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${postToken}`
+              },
+              body: JSON.stringify({
+                data: {
+                  url: embedVideoUrl,
+                  age_category: 'all',
+                  accept_media_embed_claim: true,
+                  commercial: false
+                }
+              })
+            });
+
+            if (embedResponse.ok) {
+              const embedResult = await embedResponse.json();
+              embedKey = embedResult.data.key;
+              log("Embedded video uploaded successfully");
+            } else {
+              const errorText = await embedResponse.text();
+              error(`Failed to upload embedded video: ${embedResponse.status} ${errorText}`);
+              log("Continuing without embedded video");
+            }
+          } catch (embedError) {
+            error(`Error uploading embedded video: ${embedError.message}`);
+            log("Continuing without embedded video");
+          }
         }
 
-        const imageUrl = `${process.env.BUCKET_URL}/files/${fileId}/view?project=wykopindex`;
-        log(`Uploading image to Wykop from URL: ${imageUrl}`);
+        log("Posting to Wykop");
 
-        const uploadResponse = await fetch('https://wykop.pl/api/v3/media/photos?type=comments', {
+        const postData = {
+          content: postContent,
+          adult: false
+        };
+
+        if (photoKey) {
+          postData.photo = photoKey;
+        }
+
+        if (embedKey) {
+          postData.embed = embedKey;
+        }
+
+        const postResponse = await fetch('https://wykop.pl/api/v3/entries', {
           method: 'POST',
           headers: {
             'accept': 'application/json',
             'Content-Type': 'application/json',
-            'Authorization': `Bearer ${wykopToken}`
+            'Authorization': `Bearer ${postToken}`
           },
           body: JSON.stringify({
-            data: {
-              url: imageUrl
-            }
+            data: postData
           })
         });
 
-        if (uploadResponse.ok) {
-          const uploadResult = await uploadResponse.json();
-          photoKey = uploadResult.data.key;
-          log("Image uploaded successfully");
-        } else {
-          const errorText = await uploadResponse.text();
-          error(`Failed to upload image: ${uploadResponse.status} ${errorText}`);
-          log("Continuing without image");
+        if (!postResponse.ok) {
+          const errorText = await postResponse.text();
+          throw new Error(`Failed to post to Wykop: ${postResponse.status} ${errorText}`);
         }
-      } catch (imageError) {
-        error(`Error uploading image: ${imageError.message}`);
-        log("Continuing without image");
-      }
 
-      // Embedded video upload based on sentiment
-      let embedKey = null;
+        const postResult = await postResponse.json();
+        entryId = postResult.data.id;
+        log(`Successfully posted to Wykop, entry ID: ${entryId}`);
+
+        // Post the history chart as a comment under the entry
+        if (historyImageId) {
+          try {
+            const historyUploadResponse = await fetch('https://wykop.pl/api/v3/media/photos?type=comments', {
+              method: 'POST',
+              headers: {
+                'accept': 'application/json',
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${postToken}`
+              },
+              body: JSON.stringify({
+                data: {
+                  url: `${process.env.BUCKET_URL}/files/${historyImageId}/view?project=wykopindex`
+                }
+              })
+            });
 
-      const embedVideoUrl = sentimentValue > 60 ? pickRandomUrl(process.env.BULLISH_VIDEO_URLS) : sentimentValue < 40 ? pickRandomUrl(process.env.BEARISH_VIDEO_URLS) : null;
+            if (!historyUploadResponse.ok) {
+              throw new Error(`Failed to upload history chart: ${historyUploadResponse.status} ${await historyUploadResponse.text()}`);
+            }
 
-      if (embedVideoUrl) {
-        try {
-          log(`Uploading embedded video to Wykop from URL: ${embedVideoUrl}`);
-          
-          const embedResponse = await fetch('https://wykop.pl/api/v3/media/embed', {
+            const historyCommentResponse = await fetch(`https://wykop.pl/api/v3/entries/${entryId}/comments`, {
+              method: 'POST',
+              headers: {
+                'accept': 'application/json',
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${postToken}`
+              },
+              body: JSON.stringify({
+                data: {
+                  content: `Indeks w ostatnich 30 dniach 📈 [więcej wykresów](${siteUrl}#charts)`,
+                  photo: (await historyUploadResponse.json()).data.key,
+                  adult: false
+                }
+              })
+            });
+
+            if (!historyCommentResponse.ok) {
+              throw new Error(`Failed to post history chart comment: ${historyCommentResponse.status} ${await historyCommentResponse.text()}`);
+            }
+            log(`Successfully posted history chart comment, comment ID: ${(await historyCommentResponse.json()).data.id}`);
+          } catch (historyCommentError) {
+            error(historyCommentError.message);
+          }
+        }
+
+        // Subscribers follow the default tag only
+        if (tag === DEFAULT_TAG) {
+          // Fetch active subscribers
+          const subscribersResult = await tablesDB.listRows({
+            databaseId: DATABASE_ID,
+            tableId: SUBSCRIBERS_COLLECTION,
+            queries: [sdk.Query.limit(1000)]
+          });
+
+          const subscriberMentions = subscribersResult.rows.map(doc => `@${doc.$id}`).join(', ');
+          log(`Fetched ${subscribersResult.rows.length} subscribers`);
+
+          // Post subscription comment under the entry
+          const commentResponse = await fetch(`https://wykop.pl/api/v3/entries/${entryId}/comments`, {
             method: 'POST',
             headers: {
               'accept': 'application/json',
               'Content-Type': 'application/json',
-              'Authorization': `Bearer ${wykopToken}`
+              'Authorization': `Bearer ${postToken}`
             },
             body: JSON.stringify({
               data: {
-                url: embedVideoUrl,
-                age_category: 'all',
-                accept_media_embed_claim: true,
-                commercial: false
+                content: `Zaplusuj ten komentarz jeżeli chcesz być wołany do przyszłych wpisów. Jeżeli nie chcesz już być wołany, dodaj komentarz o treści: "@KrachSmieciuchIndex: nie wołaj".`,
+                adult: false
               }
             })
           });
 
-          if (embedResponse.ok) {
-            const embedResult = await embedResponse.json();
-            embedKey = embedResult.data.key;
-            log("Embedded video uploaded successfully");
+          if (!commentResponse.ok) {
+            const errorText = await commentResponse.text();
+            error(`Failed to post subscription comment: ${commentResponse.status} ${errorText}`);
           } else {
-            const errorText = await embedResponse.text();
-            error(`Failed to upload embedded video: ${embedResponse.status} ${errorText}`);
-            log("Continuing without embedded video");
+            const commentResult = await commentResponse.json();
+            log(`Successfully posted subscription comment, comment ID: ${commentResult.data.id}`);
+          }
+
+          // Post subscriber mentions as a separate comment
+          if (subscriberMentions) {
+            const mentionsResponse = await fetch(`https://wykop.pl/api/v3/entries/${entryId}/comments`, {
+              method: 'POST',
+              headers: {
+                'accept': 'application/json',
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${postToken}`
+              },
+              body: JSON.stringify({
+                data: {
+                  content: `Wołam: ${subscriberMentions}`,
+                  adult: false
+                }
+              })
+            });
+
+            if (!mentionsResponse.ok) {
+              const errorText = await mentionsResponse.text();
+              error(`Failed to post mentions comment: ${mentionsResponse.status} ${errorText}`);
+            } else {
+              const mentionsResult = await mentionsResponse.json();
+              log(`Successfully posted mentions comment, comment ID: ${mentionsResult.data.id}`);
+            }
           }
-        } catch (embedError) {
-          error(`Error uploading embedded video: ${embedError.message}`);
-          log("Continuing without embedded video");
         }
+      } catch (postError) {
+        error(`Failed to post to Wykop: ${postError.message}`);
       }
 
-      log("Posting to Wykop");
-
-      const postData = {
-        content: postContent,
-        adult: false
-      };
+      // --- SAVE TO DATABASE SECTION ---
 
-      if (photoKey) {
-        postData.photo = photoKey;
+      if (dryRun) {
+        log("Dry run: skipping database writes");
+        return buildPreview(null);
       }
 
-      if (embedKey) {
-        postData.embed = embedKey;
-      }
+      log("Saving to database");
 
-      const postResponse = await fetch('https://wykop.pl/api/v3/entries', {
-        method: 'POST',
-        headers: {
-          'accept': 'application/json',
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${wykopToken}`
-        },
-        body: JSON.stringify({
-          data: postData
-        })
+      const dbResult = await tablesDB.createRow({
+        databaseId: DATABASE_ID,
+        tableId: SENTIMENT_COLLECTION,
+        rowId: sdk.ID.unique(),
+        data: {
+            tag: tag,
+            sentiment: parseInt(sentimentResult.sentiment),
+            lexiconSentiment: lexiconResult.score,
+            lexiconDivergent: lexiconDivergent,
+            labelDistribution: JSON.stringify(weightedSentiment.distribution),
+            classifications: JSON.stringify(weightedSentiment.classifications),
+            summary: sentimentResult.summary,
+            topQuotes: sentimentResult.topQuotes,
+            mostDiscussed: sentimentResult.mostDiscussed,
+            tomekAnalysis: tagConfig.tomek && tomekVideoResult.analysis
+              ? JSON.stringify({ analysis: tomekVideoResult.analysis, videoTitle: tomekVideoResult.videoTitle, videoUrl: tomekVideoResult.videoUrl, videoPublishedAt: tomekVideoResult.videoPublishedAt })
+              : null,
+            tomekScore: tagConfig.tomek ? tomekVideoResult.score : null,
+            tomekDirection: tagConfig.tomek ? tomekVideoResult.direction : null,
+            imageId: imageId,
+            historyImageId: historyImageId,
+            cardImageId: cardImageId,
+            animationImageId: animationImageId,
+            corpusFileId: corpusFileId,
+            followers: followersCount,
+            entriesLast24h: entriesLast24h,
+            uniqueUsersLast24h: uniqueUsersLast24h,
+            hourlyActivity: JSON.stringify(hourlyActivity),
+            anomalies: anomalies.length > 0 ? JSON.stringify(anomalies) : null,
+            mostEntriesLast24h: JSON.stringify(topEntryUser),
+            mostCommentsLast24h: JSON.stringify(topCommentUser),
+            mostCombinedLast24h: JSON.stringify(topCombinedUser),
+            entryId: entryId ? String(entryId) : null
+          }
       });
 
-      if (!postResponse.ok) {
-        const errorText = await postResponse.text();
-        throw new Error(`Failed to post to Wykop: ${postResponse.status} ${errorText}`);
-      }
+      log("Database entry added: " + dbResult.$id);
 
-      const postResult = await postResponse.json();
-      entryId = postResult.data.id;
-      log(`Successfully posted to Wykop, entry ID: ${entryId}`);
+      // --- ASSET SCORES SECTION ---
 
-      // Fetch active subscribers
-      const subscribersResult = await tablesDB.listRows({
-        databaseId: DATABASE_ID,
-        tableId: SUBSCRIBERS_COLLECTION,
-        queries: [sdk.Query.limit(1000)]
-      });
+      if (assetScores.length > 0) {
+        try {
+          await tablesDB.createRows({
+            databaseId: DATABASE_ID,
+            tableId: ASSETS_COLLECTION,
+            rows: assetScores.map(assetScore => ({
+              $id: sdk.ID.unique(),
+              readingId: dbResult.$id,
+              tag: tag,
+              ...assetScore,
+            }))
+          });
+          log(`Saved ${assetScores.length} asset scores`);
+        } catch (assetsError) {
+          error(`Failed to save asset scores: ${assetsError.message}`);
+        }
+      }
 
-      const subscriberMentions = subscribersResult.rows.map(doc => `@${doc.$id}`).join(', ');
-      log(`Fetched ${subscribersResult.rows.length} subscribers`);
+      // --- USER ACTIVITY SECTION ---
+      // Full per-user counts for the site leaderboards, stored as { username: [entries, comments] }.
+      // Each row covers the time since the previous row of the tag (activityWindowStart, see the stream walk), so
+      // the leaderboards can sum every row without counting a post twice or skipping the weekend. Rows without
+      // windowEnd covered the 24h before they were created
 
-      // Post subscription comment under the entry
-      const commentResponse = await fetch(`https://wykop.pl/api/v3/entries/${entryId}/comments`, {
-        method: 'POST',
-        headers: {
-          'accept': 'application/json',
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${wykopToken}`
-        },
-        body: JSON.stringify({
+      try {
+        const userActivity = countUserActivity(activityEntries, activityWindowStart, nowUTC, polandOffset);
+        await tablesDB.createRow({
+          databaseId: DATABASE_ID,
+          tableId: USER_ACTIVITY_COLLECTION,
+          rowId: sdk.ID.unique(),
           data: {
-            content: `Zaplusuj ten komentarz jeżeli chcesz być wołany do przyszłych wpisów. Jeżeli nie chcesz już być wołany, dodaj komentarz o treści: "@KrachSmieciuchIndex: nie wołaj".`,
-            adult: false
+            readingId: dbResult.$id,
+            tag: tag,
+            counts: JSON.stringify(userActivity),
+            windowStart: activityWindowStart.toISOString(),
+            windowEnd: nowUTC.toISOString()
           }
-        })
-      });
+        });
+        log(`Saved activity of ${Object.keys(userActivity).length} users since ${activityWindowStart.toISOString()}`);
+      } catch (activityError) {
+        error(`Failed to save user activity: ${activityError.message}`);
+      }
 
-      if (!commentResponse.ok) {
-        const errorText = await commentResponse.text();
-        error(`Failed to post subscription comment: ${commentResponse.status} ${errorText}`);
-      } else {
-        const commentResult = await commentResponse.json();
-        log(`Successfully posted subscription comment, comment ID: ${commentResult.data.id}`);
+      // --- ANALYST CALLS SECTION ---
+      // Labelled top quotes are scored later against the tag's benchmark
+
+      if (tagConfig.benchmark) {
+        try {
+          const calls = parseCalls(JSON.parse(sentimentResult.topQuotes));
+          if (calls.length > 0) {
+            await tablesDB.createRows({
+              databaseId: DATABASE_ID,
+              tableId: ANALYST_CALLS_COLLECTION,
+              rows: calls.map(call => ({
+                $id: sdk.ID.unique(),
+                readingId: dbResult.$id,
+                tag: tag,
+                benchmark: tagConfig.benchmark,
+                calledAt: dbResult.$createdAt,
+                ...call,
+              }))
+            });
+            log(`Saved ${calls.length} analyst calls`);
+          }
+        } catch (callsError) {
+          error(`Failed to save analyst calls: ${callsError.message}`);
+        }
       }
+    };
 
-      // Post subscriber mentions as a separate comment
-      if (subscriberMentions) {
-        const mentionsResponse = await fetch(`https://wykop.pl/api/v3/entries/${entryId}/comments`, {
-          method: 'POST',
-          headers: {
-            'accept': 'application/json',
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${wykopToken}`
-          },
-          body: JSON.stringify({
-            data: {
-              content: `Wołam: ${subscriberMentions}`,
-              adult: false
-            }
-          })
+    const failedTags = [];
+    const previews = [];
+    for (const tag of tags) {
+      try {
+        log(`--- Processing #${tag} ---`);
+        const preview = await processTag(tag);
+        if (preview) previews.push(preview);
+      } catch (tagError) {
+        error(`Failed to process #${tag}: ${tagError.message}`);
+        failedTags.push(tag);
+      }
+    }
+
+    if (failedTags.length === tags.length) {
+      throw new Error(`All tags failed: ${failedTags.join(', ')}`);
+    }
+
+    // --- PRICE SYNC SECTION ---
+    // Recent closes of every benchmark are stored for the site backtest and reused to score analyst calls
+
+    const closesByBenchmark = {};
+    // Session-end times of the closes, computed once and shared by every scored call and video
+    const closeTimesByBenchmark = {};
+    if (!dryRun) {
+      const syncFrom = new Date(Date.now() - PRICE_SYNC_DAYS * 24 * 60 * 60 * 1000);
+      for (const benchmark of Object.keys(BENCHMARKS)) {
+        try {
+          const closes = await getDailyCloses(benchmark, syncFrom, new Date());
+          closesByBenchmark[benchmark] = closes;
+          closeTimesByBenchmark[benchmark] = getCloseTimes(closes, benchmark);
+          if (closes.length > 0) {
+            await tablesDB.upsertRows({
+              databaseId: DATABASE_ID,
+              tableId: PRICES_COLLECTION,
+              rows: closes.map(row => ({ $id: getPriceRowId(benchmark, row.date), benchmark: benchmark, ...row }))
+            });
+          }
+          log(`Synced ${closes.length} closes of ${benchmark}`);
+        } catch (priceError) {
+          error(`Failed to sync ${benchmark} prices: ${priceError.message}`);
+        }
+      }
+    }
+
+    // --- CALL SCORING SECTION ---
+    // Fill in 1d/1w/1m returns of pending analyst calls once the benchmark has moved on
+
+    if (!dryRun) {
+      try {
+        const pendingCalls = await tablesDB.listRows({
+          databaseId: DATABASE_ID,
+          tableId: ANALYST_CALLS_COLLECTION,
+          queries: [
+            sdk.Query.equal('complete', false),
+            sdk.Query.orderAsc('calledAt'),
+            sdk.Query.limit(500)
+          ]
         });
 
-        if (!mentionsResponse.ok) {
-          const errorText = await mentionsResponse.text();
-          error(`Failed to post mentions comment: ${mentionsResponse.status} ${errorText}`);
-        } else {
-          const mentionsResult = await mentionsResponse.json();
-          log(`Successfully posted mentions comment, comment ID: ${mentionsResult.data.id}`);
+        let scoredCalls = 0;
+        for (const call of pendingCalls.rows) {
+          const closes = closesByBenchmark[call.benchmark];
+          if (!closes) continue;
+
+          const update = evaluateCall(call, closes, new Date(), closeTimesByBenchmark[call.benchmark]);
+          if (Object.keys(update).length === 0) continue;
+          await tablesDB.updateRow({
+            databaseId: DATABASE_ID,
+            tableId: ANALYST_CALLS_COLLECTION,
+            rowId: call.$id,
+            data: update
+          });
+          scoredCalls++;
         }
+        log(`Updated ${scoredCalls} of ${pendingCalls.rows.length} pending analyst calls`);
+      } catch (scoringError) {
+        error(`Failed to score analyst calls: ${scoringError.message}`);
       }
-    } catch (postError) {
-      error(`Failed to post to Wykop: ${postError.message}`);
     }
 
-        // --- SAVE TO DATABASE SECTION ---
+    // --- INFLUENCER SCORING SECTION ---
+    // Predicted directions of the videos are scored the same way: a video published after the close or at the weekend
+    // is measured from the last close that had ended before it was published, not from the close before the publish day
 
-    log("Saving to database");
+    if (!dryRun) {
+      try {
+        const pendingVideos = await tablesDB.listRows({
+          databaseId: DATABASE_ID,
+          tableId: INFLUENCERS_COLLECTION,
+          queries: [
+            sdk.Query.equal('complete', false),
+            sdk.Query.orderAsc('$createdAt'),
+            sdk.Query.limit(500)
+          ]
+        });
 
-    const dbResult = await tablesDB.createRow({
-      databaseId: DATABASE_ID,
-      tableId: SENTIMENT_COLLECTION,
-      rowId: sdk.ID.unique(),
-      data: {
-          sentiment: parseInt(sentimentResult.sentiment),
-          summary: sentimentResult.summary,
-          topQuotes: sentimentResult.topQuotes,
-          mostDiscussed: sentimentResult.mostDiscussed,
-          tomekAnalysis: tomekVideoResult.analysis
-            ? JSON.stringify({ analysis: tomekVideoResult.analysis, videoTitle: tomekVideoResult.videoTitle, videoUrl: tomekVideoResult.videoUrl, videoPublishedAt: tomekVideoResult.videoPublishedAt })
-            : null,
-          imageId: imageId,
-          followers: followersCount,
-          entriesLast24h: entriesLast24h,
-          uniqueUsersLast24h: uniqueUsersLast24h,
-          mostEntriesLast24h: JSON.stringify(topEntryUser),
-          mostCommentsLast24h: JSON.stringify(topCommentUser),
-          mostCombinedLast24h: JSON.stringify(topCombinedUser),
-          entryId: entryId ? String(entryId) : null
+        let scoredVideos = 0;
+        for (const video of pendingVideos.rows) {
+          const closes = closesByBenchmark[video.benchmark];
+          if (!closes || !video.publishedAt) continue;
+
+          const update = evaluateCall(
+            { ...video, calledAt: video.publishedAt, label: video.direction, benchmark: video.benchmark },
+            closes,
+            new Date(),
+            closeTimesByBenchmark[video.benchmark]
+          );
+          if (Object.keys(update).length === 0) continue;
+          await tablesDB.updateRow({
+            databaseId: DATABASE_ID,
+            tableId: INFLUENCERS_COLLECTION,
+            rowId: video.$id,
+            data: update
+          });
+          scoredVideos++;
         }
-    });
+        log(`Updated ${scoredVideos} of ${pendingVideos.rows.length} pending influencer videos`);
+      } catch (scoringError) {
+        error(`Failed to score influencer videos: ${scoringError.message}`);
+      }
+    }
 
-    log("Database entry added: " + dbResult.$id);
+    if (dryRun) {
+      return res.json({ dryRun: true, failedTags: failedTags, results: previews, influencers: influencerResults });
+    }
 
     return res.empty();
   } catch(err) {
@@ -0,0 +1,178 @@
+import * as sdk from 'node-appwrite';
+import { isDryRun } from './utils.js';
+import { TAG_CONFIGS, tagQuery } from './tags.js';
+import { GAUGE_TEMPLATES, loadGaugeTemplates } from './gauge.js';
+import {
+  IMAGE_COLUMNS,
+  DEFAULT_IMAGE_RETENTION_DAYS,
+  summarizeUsage,
+  selectExpiredImages,
+  formatUsage,
+} from './retention.js';
+
+// Storage maintenance, deployed as the wykop-maintenance function from the same source as wykop-index.
+// Generated images older than IMAGE_RETENTION_DAYS are deleted, except the gauge templates and the images of the
+// latest reading of every tag. Older readings are kept but lose the reference and fall back to the default gauge,
+// like readings from before images were uploaded.
+
+const DATABASE_ID = '69617178003ac8ef4fba';
+const BUCKET_ID = '6961715000182498a35a';
+const SENTIMENT_COLLECTION = 'sentiment';
+
+export default async ({ req, res, log: baseLog, error }) => {
+  try {
+    const log = (message) => baseLog(`[${new Date().toISOString()}] ${message}`);
+
+    const client = new sdk.Client()
+      .setEndpoint('https://fra.cloud.appwrite.io/v1')
+      .setProject('wykopindex')
+      .setKey(process.env.APPWRITE_API_KEY);
+
+    const tablesDB = new sdk.TablesDB(client);
+    const storage = new sdk.Storage(client);
+
+    const dryRun = isDryRun(req);
+    const retentionDays = parseInt(process.env.IMAGE_RETENTION_DAYS) || DEFAULT_IMAGE_RETENTION_DAYS;
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    log(`Pruning generated images created before ${cutoff.toISOString()} (${retentionDays} days)${dryRun ? ' (dry run)' : ''}`);
+
+    // --- BUCKET USAGE SECTION ---
+
+    const files = [];
+    let cursor = null;
+    while (true) {
+      const page = await storage.listFiles(BUCKET_ID, [
+        sdk.Query.orderAsc('$createdAt'),
+        sdk.Query.limit(100),
+        ...(cursor ? [sdk.Query.cursorAfter(cursor)] : [])
+      ]);
+      files.push(...page.files);
+      if (page.files.length < 100) break;
+      cursor = page.files[page.files.length - 1].$id;
+    }
+
+    const usageBefore = summarizeUsage(files);
+    log(`Bucket usage: ${files.length} files; ${formatUsage(usageBefore)}`);
+
+    // --- PROTECTED IMAGES SECTION ---
+
+    // Templates from GAUGE_TEMPLATES may use any file ID, so they are protected explicitly
+    let gaugeTemplates = GAUGE_TEMPLATES;
+    try {
+      gaugeTemplates = loadGaugeTemplates(process.env.GAUGE_TEMPLATES);
+    } catch (templatesError) {
+      error(`Invalid GAUGE_TEMPLATES, protecting only the built-in templates: ${templatesError.message}`);
+    }
+    const protectedIds = new Set(Object.values(gaugeTemplates).map(template => template.fileId));
+
+    // The latest reading of a tag is what the site, the gauge endpoint and the share pages show, however old it is
+    for (const tag of Object.keys(TAG_CONFIGS)) {
+      const latest = await tablesDB.listRows({
+        databaseId: DATABASE_ID,
+        tableId: SENTIMENT_COLLECTION,
+        queries: [
+          tagQuery(sdk.Query, tag),
+          sdk.Query.select(['$id', ...IMAGE_COLUMNS]),
+          sdk.Query.orderDesc('$createdAt'),
+          sdk.Query.limit(1)
+        ]
+      });
+      for (const row of latest.rows) {
+        IMAGE_COLUMNS.forEach(column => row[column] && protectedIds.add(row[column]));
+      }
+    }
+    log(`${protectedIds.size} images protected as templates or latest readings`);
+
+    // --- PRUNE SECTION ---
+
+    const expired = selectExpiredImages(files, cutoff, protectedIds);
+    const expiredIds = new Set(expired.map(file => file.$id));
+    const removedBytes = expired.reduce((sum, file) => sum + (file.sizeOriginal || 0), 0);
+    log(`${expired.length} expired images (${(removedBytes / 1024 / 1024).toFixed(1)} MB)`);
+
+    const removedIds = new Set();
+    for (const file of expired) {
+      if (dryRun) {
+        log(`Dry run: would remove ${file.$id} (${file.$createdAt})`);
+        continue;
+      }
+      try {
+        await storage.deleteFile(BUCKET_ID, file.$id);
+        removedIds.add(file.$id);
+        log(`Removed ${file.$id} (${file.$createdAt})`);
+      } catch (deleteError) {
+        error(`Failed to remove ${file.$id}: ${deleteError.message}`);
+      }
+    }
+
+    const remainingFiles = files.filter(file => !(dryRun ? expiredIds : removedIds).has(file.$id));
+
+    // --- DANGLING REFERENCES SECTION ---
+    // Readings older than the cutoff stop pointing at files that are gone, including ones left by an earlier
+    // run that failed to clear them. Newer readings only reference newer files, so they are not scanned
+
+    const remainingIds = new Set(remainingFiles.map(file => file.$id));
+    let clearedRows = 0;
+    let rowCursor = null;
+    while (true) {
+      const page = await tablesDB.listRows({
+        databaseId: DATABASE_ID,
+        tableId: SENTIMENT_COLLECTION,
+        queries: [
+          sdk.Query.lessThan('$createdAt', cutoff.toISOString()),
+          sdk.Query.select(['$id', ...IMAGE_COLUMNS]),
+          sdk.Query.orderAsc('$createdAt'),
+          sdk.Query.limit(500),
+          ...(rowCursor ? [sdk.Query.cursorAfter(rowCursor)] : [])
+        ]
+      });
+
+      for (const row of page.rows) {
+        const update = Object.fromEntries(IMAGE_COLUMNS
+          .filter(column => row[column] && !remainingIds.has(row[column]))
+          .map(column => [column, null]));
+        if (Object.keys(update).length === 0) continue;
+        if (dryRun) {
+          clearedRows++;
+          continue;
+        }
+        try {
+          await tablesDB.updateRow({
+            databaseId: DATABASE_ID,
+            tableId: SENTIMENT_COLLECTION,
+            rowId: row.$id,
+            data: update
+          });
+          clearedRows++;
+        } catch (updateError) {
+          error(`Failed to clear image references of reading ${row.$id}: ${updateError.message}`);
+        }
+      }
+
+      if (page.rows.length < 500) break;
+      rowCursor = page.rows[page.rows.length - 1].$id;
+    }
+
+    const usageAfter = summarizeUsage(remainingFiles);
+    log(`Removed ${removedIds.size} images, ${dryRun ? 'would clear' : 'cleared'} references in ${clearedRows} readings`);
+    log(`Bucket usage after pruning${dryRun ? ' (projected)' : ''}: ${formatUsage(usageAfter)}`);
+
+    if (dryRun) {
+      return res.json({
+        dryRun: true,
+        cutoff: cutoff.toISOString(),
+        usageBefore: usageBefore,
+        usageAfter: usageAfter,
+        expired: expired.map(file => file.$id),
+        clearedReadings: clearedRows
+      });
+    }
+
+    return res.empty();
+  } catch(err) {
+    error("Error: " + err.message);
+    return res.json({
+      error: err.message
+    }, 500);
+  }
+};
@@ -0,0 +1,227 @@
+import * as sdk from 'node-appwrite';
+import { TAG_CONFIGS, DEFAULT_TAG, tagQuery } from './tags.js';
+import { GAUGE_TEMPLATES, DEFAULT_GAUGE_TEMPLATE, loadGaugeTemplates, resolveGaugeTemplate, fetchPreviousSentiment, renderGauge } from './gauge.js';
+import { getSummaryLine, SHARE_CARD_SIZE } from './shareCard.js';
+
+// Public image routes, deployed as the wykop-media function from the same source as wykop-index:
+//   GET /gauge?value=NN[&previous=NN][&date=ISO]  gauge with the given values
+//   GET /gauge/latest[?tag=...]                   gauge of the latest reading of a tag
+//   GET /share/<readingId>                        Open Graph page of a reading that redirects to the site
+
+const DATABASE_ID = '69617178003ac8ef4fba';
+const BUCKET_ID = '6961715000182498a35a';
+const SENTIMENT_COLLECTION = 'sentiment';
+const SITE_URL = 'https://wykop-index.appwrite.network/';
+
+// Rendered images and template artwork are kept between executions while the runtime stays warm
+const MAX_CACHED_IMAGES = 200;
+const imageCache = new Map();
+const templateImageCache = new Map();
+
+// Fixed values never change; the latest gauge is refreshed after a scheduled run
+const FIXED_CACHE_CONTROL = 'public, max-age=86400, immutable';
+const LATEST_CACHE_CONTROL = 'public, max-age=300';
+
+const cacheImage = (key, image) => {
+  if (imageCache.size >= MAX_CACHED_IMAGES) {
+    imageCache.delete(imageCache.keys().next().value);
+  }
+  imageCache.set(key, image);
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Minimal page with the reading's Open Graph tags; crawlers read the tags, browsers are sent on to the site.
+ * The image size tags are only emitted when the size is known (the social card), not for the gauge fallback.
+ * @param {{ title: string, description: string, imageUrl: string, imageSize?: { width: number, height: number }|null, siteUrl: string }} meta
+ * @returns {string}
+ */
+const buildSharePage = ({ title, description, imageUrl, imageSize = null, siteUrl }) => {
+  const [safeTitle, safeDescription, safeImageUrl, safeSiteUrl] = [title, description, imageUrl, siteUrl].map(escapeHtml);
+  const imageSizeTags = imageSize ? `
+    <meta property="og:image:width" content="${imageSize.width}" />
+    <meta property="og:image:height" content="${imageSize.height}" />` : '';
+  return `<!doctype html>
+<html lang="pl">
+  <head>
+    <meta charset="UTF-8" />
+    <title>${safeTitle}</title>
+    <meta name="description" content="${safeDescription}" />
+    <link rel="canonical" href="${safeSiteUrl}" />
+    <meta property="og:type" content="article" />
+    <meta property="og:url" content="${safeSiteUrl}" />
+    <meta property="og:title" content="${safeTitle}" />
+    <meta property="og:description" content="${safeDescription}" />
+    <meta property="og:image" content="${safeImageUrl}" />${imageSizeTags}
+    <meta property="og:locale" content="pl_PL" />
+    <meta property="og:site_name" content="Krach & Śmieciuch Index" />
+    <meta property="twitter:card" content="summary_large_image" />
+    <meta property="twitter:title" content="${safeTitle}" />
+    <meta property="twitter:description" content="${safeDescription}" />
+    <meta property="twitter:image" content="${safeImageUrl}" />
+    <meta http-equiv="refresh" content="0; url=${safeSiteUrl}" />
+  </head>
+  <body>
+    <a href="${safeSiteUrl}">${safeTitle}</a>
+  </body>
+</html>`;
+};
+
+const parseValue = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 0 && number <= 100 ? number : NaN;
+};
+
+export default async ({ req, res, log: baseLog, error }) => {
+  try {
+    const log = (message) => baseLog(`[${new Date().toISOString()}] ${message}`);
+
+    const client = new sdk.Client()
+      .setEndpoint('https://fra.cloud.appwrite.io/v1')
+      .setProject('wykopindex')
+      .setKey(process.env.APPWRITE_API_KEY);
+
+    const tablesDB = new sdk.TablesDB(client);
+    const storage = new sdk.Storage(client);
+
+    let gaugeTemplates = GAUGE_TEMPLATES;
+    try {
+      gaugeTemplates = loadGaugeTemplates(process.env.GAUGE_TEMPLATES);
+    } catch (templatesError) {
+      error(`Invalid GAUGE_TEMPLATES, using the built-in templates: ${templatesError.message}`);
+    }
+
+    // getValues is only called when the image is not cached yet
+    const sendGauge = async (cacheKey, cacheControl, date, getValues) => {
+      const template = resolveGaugeTemplate(gaugeTemplates, date, process.env.GAUGE_TEMPLATE);
+      const key = `${template.name}:${cacheKey}`;
+
+      let image = imageCache.get(key);
+      if (!image) {
+        let baseImage = templateImageCache.get(template.fileId);
+        if (!baseImage) {
+          baseImage = Buffer.from(await storage.getFileDownload(BUCKET_ID, template.fileId));
+          templateImageCache.set(template.fileId, baseImage);
+        }
+        image = await renderGauge(baseImage, template, { ...await getValues(), date });
+        cacheImage(key, image);
+        log(`Rendered gauge ${key}`);
+      }
+
+      return res.binary(image, 200, {
+        'Content-Type': 'image/png',
+        'Cache-Control': cacheControl,
+        'Access-Control-Allow-Origin': '*'
+      });
+    };
+
+    const path = (req.path || '/').replace(/\/+$/, '') || '/';
+    if (req.method !== 'GET') {
+      return res.json({ error: 'Only GET is supported' }, 405);
+    }
+
+    if (path === '/gauge') {
+      const value = parseValue(req.query.value);
+      const previous = parseValue(req.query.previous);
+      if (value === null || Number.isNaN(value) || Number.isNaN(previous)) {
+        return res.json({ error: 'value and previous must be integers from 0 to 100' }, 400);
+      }
+
+      const date = req.query.date ? new Date(req.query.date) : new Date();
+      if (Number.isNaN(date.getTime())) {
+        return res.json({ error: 'date must be an ISO date' }, 400);
+      }
+
+      // The date label has minute resolution; without an explicit date it shows the current time, so it can only be cached briefly
+      return sendGauge(
+        `${value}:${previous}:${date.toISOString().slice(0, 16)}`,
+        req.query.date ? FIXED_CACHE_CONTROL : LATEST_CACHE_CONTROL,
+        date,
+        async () => ({ sentiment: value, previousSentiment: previous })
+      );
+    }
+
+    if (path === '/gauge/latest') {
+      const tag = String(req.query.tag || DEFAULT_TAG).replace(/^#/, '').toLowerCase();
+      if (!(tag in TAG_CONFIGS)) {
+        return res.json({ error: `Unknown tag: ${tag}` }, 400);
+      }
+
+      const latest = await tablesDB.listRows({
+        databaseId: DATABASE_ID,
+        tableId: SENTIMENT_COLLECTION,
+        queries: [
+          tagQuery(sdk.Query, tag),
+          sdk.Query.select(['$id', '$createdAt', 'sentiment']),
+          sdk.Query.orderDesc('$createdAt'),
+          sdk.Query.limit(1)
+        ]
+      });
+      if (latest.rows.length === 0) {
+        return res.json({ error: `No readings of #${tag}` }, 404);
+      }
+
+      const reading = latest.rows[0];
+      const date = new Date(reading.$createdAt);
+      return sendGauge(`latest:${reading.$id}`, LATEST_CACHE_CONTROL, date, async () => ({
+        sentiment: reading.sentiment,
+        previousSentiment: await fetchPreviousSentiment(tablesDB, DATABASE_ID, tag, date)
+      }));
+    }
+
+    const shareMatch = path.match(/^\/share\/([A-Za-z0-9._-]{1,36})$/);
+    if (shareMatch) {
+      let reading;
+      try {
+        reading = await tablesDB.getRow({
+          databaseId: DATABASE_ID,
+          tableId: SENTIMENT_COLLECTION,
+          rowId: shareMatch[1],
+          queries: [sdk.Query.select(['$id', '$createdAt', 'tag', 'sentiment', 'summary', 'imageId', 'cardImageId'])]
+        });
+      } catch (readingError) {
+        if (readingError.code === 404) return res.redirect(SITE_URL, 302);
+        throw readingError;
+      }
+
+      const tag = reading.tag || DEFAULT_TAG;
+      const siteUrl = new URL(SITE_URL);
+      if (tag !== DEFAULT_TAG) siteUrl.searchParams.set('tag', tag);
+      siteUrl.searchParams.set('reading', reading.$id);
+
+      const formattedDate = new Date(reading.$createdAt).toLocaleString('pl-PL', {
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        timeZone: 'Europe/Warsaw'
+      });
+      const imageFileId = reading.cardImageId || reading.imageId || GAUGE_TEMPLATES[DEFAULT_GAUGE_TEMPLATE].fileId;
+
+      return res.text(buildSharePage({
+        title: `Krach & Śmieciuch Index${tag !== DEFAULT_TAG ? ` #${tag}` : ''}: ${reading.sentiment}/100 (${formattedDate})`,
+        description: getSummaryLine(reading.summary) || `Indeks sentymentu tagu #${tag} na Wykopie`,
+        imageUrl: `${process.env.BUCKET_URL}/files/${imageFileId}/view?project=wykopindex`,
+        imageSize: reading.cardImageId ? SHARE_CARD_SIZE : null,
+        siteUrl: siteUrl.toString()
+      }), 200, {
+        'Content-Type': 'text/html; charset=utf-8',
+        'Cache-Control': FIXED_CACHE_CONTROL
+      });
+    }
+
+    return res.json({ error: `Not found: ${path}` }, 404);
+  } catch(err) {
+    error("Error: " + err.message);
+    return res.json({
+      error: err.message
+    }, 500);
+  }
+};
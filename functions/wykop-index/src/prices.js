@@ -0,0 +1,174 @@
+/**
+ * Daily closes of reference markets.
+ * Providers are interchangeable: each takes a provider-specific symbol and a date range and returns
+ * `[{ date: 'YYYY-MM-DD', close }]` sorted by date. PRICE_PROVIDER selects which one is used.
+ */
+
+// `close` is when the session of a daily close ends, in the market's time zone; a BTC day closes at midnight UTC
+export const BENCHMARKS = {
+  wig20: { name: 'WIG20', symbols: { stooq: 'wig20', yahoo: 'WIG20.WA' }, close: { timeZone: 'Europe/Warsaw', time: '17:05' } },
+  sp500: { name: 'S&P 500', symbols: { stooq: '^spx', yahoo: '^GSPC' }, close: { timeZone: 'America/New_York', time: '16:00' } },
+  btc: { name: 'BTC/USD', symbols: { stooq: 'btcusd', yahoo: 'BTC-USD' }, close: { timeZone: 'UTC', time: '24:00' } },
+};
+
+export const DEFAULT_PRICE_PROVIDER = 'yahoo';
+
+/**
+ * Row ID of a close in the prices table, so repeated syncs and imports upsert instead of duplicating.
+ * @param {string} benchmark
+ * @param {string} date  YYYY-MM-DD
+ * @returns {string}
+ */
+export const getPriceRowId = (benchmark, date) => `${benchmark}-${date}`;
+
+const toIsoDate = (date) => date.toISOString().slice(0, 10);
+
+// Formatters of the market time zones, created once: building one per call dominated the backtest
+const zoneFormatters = new Map();
+
+const getZoneFormatter = (timeZone) => {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+    }));
+  }
+  return zoneFormatters.get(timeZone);
+};
+
+/**
+ * Moment the session of a daily close ended.
+ * @param {string} benchmark  Key of BENCHMARKS
+ * @param {string} date  YYYY-MM-DD
+ * @returns {number}  Timestamp in ms
+ */
+export const getCloseTime = (benchmark, date) => {
+  const { timeZone, time } = BENCHMARKS[benchmark].close;
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+  // Offset of the market's time zone at that moment (DST changes happen at night, far from the close)
+  const parts = Object.fromEntries(getZoneFormatter(timeZone).formatToParts(wallClock).map(part => [part.type, part.value]));
+  const zoned = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  return wallClock - (zoned - wallClock);
+};
+
+/**
+ * Session-end times of closes, computed once per benchmark and shared by every lookup below.
+ * @param {{ date: string }[]} closes  Sorted by date
+ * @param {string} benchmark  Key of BENCHMARKS
+ * @returns {number[]}
+ */
+export const getCloseTimes = (closes, benchmark) => closes.map(row => getCloseTime(benchmark, row.date));
+
+/**
+ * Index of the last close whose session had ended at a given moment, or -1.
+ * @param {number[]} closeTimes  Output of getCloseTimes
+ * @param {number} at  Timestamp in ms
+ * @returns {number}
+ */
+export const findLastClosedIndex = (closeTimes, at) => {
+  let low = 0;
+  let high = closeTimes.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (closeTimes[middle] <= at) low = middle + 1;
+    else high = middle;
+  }
+  return low - 1;
+};
+
+/**
+ * Index of the first close from `start` on dated on or after a day, or closes.length.
+ * @param {{ date: string }[]} closes  Sorted by date
+ * @param {string} day  YYYY-MM-DD
+ * @param {number} start
+ * @returns {number}
+ */
+export const findCloseOnOrAfter = (closes, day, start) => {
+  let low = start;
+  let high = closes.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (closes[middle].date < day) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+};
+
+/**
+ * Last close whose session had ended at a given moment, the reference price of a call or reading made then.
+ * A reading after the close (e.g. the 19:10 UTC run and WIG20) uses that day's close, so the day's move,
+ * already known when the reading was made, is not counted as a forward return.
+ * @param {{ date: string, close: number }[]} closes  Sorted by date
+ * @param {number[]} closeTimes  Output of getCloseTimes
+ * @param {Date} at
+ * @returns {{ date: string, close: number }|undefined}
+ */
+export const getBaseClose = (closes, closeTimes, at) => closes[findLastClosedIndex(closeTimes, at.getTime())];
+
+const PROVIDERS = {
+  // CSV download: Date,Open,High,Low,Close,Volume
+  stooq: async (symbol, from, to) => {
+    const compact = (date) => toIsoDate(date).replace(/-/g, '');
+    const response = await fetch(`https://stooq.com/q/d/l/?s=${encodeURIComponent(symbol)}&i=d&d1=${compact(from)}&d2=${compact(to)}`);
+    if (!response.ok) {
+      throw new Error(`Stooq request failed: ${response.status} ${await response.text()}`);
+    }
+    const [header, ...lines] = (await response.text()).trim().split('\n');
+    if (!header.startsWith('Date')) {
+      throw new Error(`Unexpected Stooq response for ${symbol}: ${header}`);
+    }
+    return lines
+      .map(line => line.split(','))
+      .map(([date, , , , close]) => ({ date, close: parseFloat(close) }))
+      .filter(row => !Number.isNaN(row.close));
+  },
+
+  // Chart API: timestamps are session opens, shifted by the exchange offset to get the trading day
+  yahoo: async (symbol, from, to) => {
+    const period1 = Math.floor(from.getTime() / 1000);
+    const period2 = Math.floor(to.getTime() / 1000) + 24 * 60 * 60;
+    const response = await fetch(`https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?period1=${period1}&period2=${period2}&interval=1d`, {
+      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; wykop-index)' }
+    });
+    if (!response.ok) {
+      throw new Error(`Yahoo request failed: ${response.status} ${await response.text()}`);
+    }
+    const result = (await response.json()).chart?.result?.[0];
+    if (!result?.timestamp) return [];
+
+    const offset = result.meta?.gmtoffset || 0;
+    const closes = result.indicators?.quote?.[0]?.close || [];
+    return result.timestamp
+      .map((timestamp, index) => ({ date: toIsoDate(new Date((timestamp + offset) * 1000)), close: closes[index] }))
+      .filter(row => typeof row.close === 'number');
+  },
+};
+
+/**
+ * Fetch daily closes of a benchmark.
+ * @param {string} benchmark  Key of BENCHMARKS
+ * @param {Date} from
+ * @param {Date} to
+ * @param {string} [provider]  Key of the provider, defaults to PRICE_PROVIDER or DEFAULT_PRICE_PROVIDER
+ * @returns {Promise<{ date: string, close: number }[]>}
+ */
+export const getDailyCloses = async (benchmark, from, to, provider = process.env.PRICE_PROVIDER || DEFAULT_PRICE_PROVIDER) => {
+  const config = BENCHMARKS[benchmark];
+  if (!config) throw new Error(`Unknown benchmark: ${benchmark}`);
+  if (!PROVIDERS[provider]) throw new Error(`Unknown price provider: ${provider}`);
+
+  const closes = await PROVIDERS[provider](config.symbols[provider], from, to);
+
+  // Providers may return the current session twice or out of order; keep the last value per day
+  const byDate = new Map(closes.map(row => [row.date, row.close]));
+  return [...byDate.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, close]) => ({ date, close }));
+};
@@ -0,0 +1,182 @@
+import * as sdk from 'node-appwrite';
+import { isDryRun } from './utils.js';
+import { getEnabledTags, tagQuery } from './tags.js';
+import { buildWeeklyRecap, formatRecapPost } from './weekly.js';
+
+// Weekly recap run, deployed as the wykop-recap function from the same source as wykop-index
+
+const DATABASE_ID = '69617178003ac8ef4fba';
+const SENTIMENT_COLLECTION = 'sentiment';
+const ASSETS_COLLECTION = 'assets';
+const RECAPS_COLLECTION = 'recaps';
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+export default async ({ req, res, log: baseLog, error }) => {
+  try {
+    const log = (message) => baseLog(`[${new Date().toISOString()}] ${message}`);
+
+    const client = new sdk.Client()
+      .setEndpoint('https://fra.cloud.appwrite.io/v1')
+      .setProject('wykopindex')
+      .setKey(process.env.APPWRITE_API_KEY);
+
+    const tablesDB = new sdk.TablesDB(client);
+
+    const tags = getEnabledTags(process.env.TAGS);
+    const dryRun = isDryRun(req);
+
+    const weekEnd = new Date();
+    const weekStart = new Date(weekEnd.getTime() - WEEK_MS);
+    const previousWeekStart = new Date(weekStart.getTime() - WEEK_MS);
+    log(`Recap of ${weekStart.toISOString()} - ${weekEnd.toISOString()}${dryRun ? ' (dry run)' : ''}`);
+
+    let cachedPostToken = null;
+    const getPostToken = async () => {
+      if (cachedPostToken) return cachedPostToken;
+
+      const refreshResponse = await fetch('https://wykop.pl/api/v3/refresh-token', {
+        method: 'POST',
+        headers: {
+          'accept': 'application/json',
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          data: {
+            refresh_token: process.env.WYKOP_REFRESH_TOKEN
+          }
+        })
+      });
+
+      if (!refreshResponse.ok) {
+        throw new Error(`Wykop auth failed: ${refreshResponse.status} ${await refreshResponse.text()}`);
+      }
+
+      cachedPostToken = (await refreshResponse.json()).data.token;
+      log("Successfully authenticated with Wykop using refresh token");
+      return cachedPostToken;
+    };
+
+    const processTag = async (tag) => {
+      const [readingsResult, assetsResult] = await Promise.all([
+        tablesDB.listRows({
+          databaseId: DATABASE_ID,
+          tableId: SENTIMENT_COLLECTION,
+          queries: [
+            tagQuery(sdk.Query, tag),
+            sdk.Query.greaterThanEqual('$createdAt', previousWeekStart.toISOString()),
+            sdk.Query.select(['$id', '$createdAt', 'sentiment', 'followers', 'entriesLast24h', 'uniqueUsersLast24h', 'topQuotes']),
+            sdk.Query.orderAsc('$createdAt'),
+            sdk.Query.limit(200)
+          ]
+        }),
+        tablesDB.listRows({
+          databaseId: DATABASE_ID,
+          tableId: ASSETS_COLLECTION,
+          queries: [
+            sdk.Query.equal('tag', tag),
+            sdk.Query.greaterThanEqual('$createdAt', previousWeekStart.toISOString()),
+            sdk.Query.select(['$createdAt', 'asset', 'score', 'mentions']),
+            sdk.Query.limit(5000)
+          ]
+        })
+      ]);
+
+      const inCurrentWeek = (row) => new Date(row.$createdAt) >= weekStart;
+      const readings = readingsResult.rows.filter(inCurrentWeek);
+      if (readings.length === 0) {
+        log(`No readings of #${tag} this week, skipping`);
+        return null;
+      }
+
+      const recap = buildWeeklyRecap({
+        readings: readings,
+        previousReadings: readingsResult.rows.filter(row => !inCurrentWeek(row)),
+        assets: assetsResult.rows.filter(inCurrentWeek),
+        previousAssets: assetsResult.rows.filter(row => !inCurrentWeek(row)),
+      });
+      log(`#${tag} recap: ${JSON.stringify(recap)}`);
+
+      const postContent = formatRecapPost(tag, recap, weekStart, weekEnd);
+
+      if (dryRun) {
+        return { tag, recap, postContent };
+      }
+
+      // --- POST TO WYKOP SECTION ---
+
+      let entryId = null;
+      try {
+        const postResponse = await fetch('https://wykop.pl/api/v3/entries', {
+          method: 'POST',
+          headers: {
+            'accept': 'application/json',
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${await getPostToken()}`
+          },
+          body: JSON.stringify({
+            data: {
+              content: postContent,
+              adult: false
+            }
+          })
+        });
+
+        if (!postResponse.ok) {
+          throw new Error(`Failed to post to Wykop: ${postResponse.status} ${await postResponse.text()}`);
+        }
+
+        entryId = (await postResponse.json()).data.id;
+        log(`Successfully posted #${tag} recap to Wykop, entry ID: ${entryId}`);
+      } catch (postError) {
+        error(`Failed to post #${tag} recap to Wykop: ${postError.message}`);
+      }
+
+      // --- SAVE TO DATABASE SECTION ---
+
+      const dbResult = await tablesDB.createRow({
+        databaseId: DATABASE_ID,
+        tableId: RECAPS_COLLECTION,
+        rowId: sdk.ID.unique(),
+        data: {
+          tag: tag,
+          weekStart: weekStart.toISOString(),
+          weekEnd: weekEnd.toISOString(),
+          avgSentiment: recap.avgSentiment,
+          previousAvgSentiment: recap.previousAvgSentiment,
+          recap: JSON.stringify(recap),
+          entryId: entryId ? String(entryId) : null
+        }
+      });
+      log(`Recap saved: ${dbResult.$id}`);
+      return null;
+    };
+
+    const failedTags = [];
+    const previews = [];
+    for (const tag of tags) {
+      try {
+        const preview = await processTag(tag);
+        if (preview) previews.push(preview);
+      } catch (tagError) {
+        error(`Failed to build #${tag} recap: ${tagError.message}`);
+        failedTags.push(tag);
+      }
+    }
+
+    if (failedTags.length === tags.length) {
+      throw new Error(`All tags failed: ${failedTags.join(', ')}`);
+    }
+
+    if (dryRun) {
+      return res.json({ dryRun: true, failedTags: failedTags, results: previews });
+    }
+
+    return res.empty();
+  } catch(err) {
+    error("Error: " + err.message);
+    return res.json({
+      error: err.message
+    }, 500);
+  }
+};
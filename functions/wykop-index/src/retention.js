@@ -0,0 +1,67 @@
+/**
+ * Retention of images generated by the runs. Gauge templates and corpus archives are never touched:
+ * only files whose ID starts with one of the generated prefixes can expire.
+ */
+
+// File ID prefix -> kind, most specific first
+export const GENERATED_IMAGE_KINDS = [
+  { prefix: 'wykopindex-anim-', kind: 'animation' },
+  { prefix: 'wykopindex-', kind: 'gauge' },
+  { prefix: 'history-', kind: 'history' },
+  { prefix: 'card-', kind: 'card' },
+];
+
+// Sentiment columns that point at generated images
+export const IMAGE_COLUMNS = ['imageId', 'historyImageId', 'cardImageId', 'animationImageId'];
+
+export const DEFAULT_IMAGE_RETENTION_DAYS = 90;
+
+/**
+ * Kind of a bucket file by its ID.
+ * @param {string} fileId
+ * @returns {string}  One of the generated kinds, 'corpus' or 'other'
+ */
+export const classifyFile = (fileId) => {
+  const generated = GENERATED_IMAGE_KINDS.find(({ prefix }) => fileId.startsWith(prefix));
+  if (generated) return generated.kind;
+  return fileId.startsWith('corpus-') ? 'corpus' : 'other';
+};
+
+/**
+ * Count and size of files per kind.
+ * @param {{ $id: string, sizeOriginal: number }[]} files
+ * @returns {Record<string, { files: number, bytes: number }>}
+ */
+export const summarizeUsage = (files) => {
+  const usage = {};
+  for (const file of files) {
+    const kind = classifyFile(file.$id);
+    usage[kind] ??= { files: 0, bytes: 0 };
+    usage[kind].files++;
+    usage[kind].bytes += file.sizeOriginal || 0;
+  }
+  return usage;
+};
+
+/**
+ * Generated images created before the cutoff, except the protected ones (templates and the latest readings).
+ * @param {{ $id: string, $createdAt: string }[]} files
+ * @param {Date} cutoff
+ * @param {Set<string>} protectedIds
+ * @returns {{ $id: string, $createdAt: string }[]}
+ */
+export const selectExpiredImages = (files, cutoff, protectedIds) => files.filter(file =>
+  GENERATED_IMAGE_KINDS.some(({ prefix }) => file.$id.startsWith(prefix))
+  && new Date(file.$createdAt) < cutoff
+  && !protectedIds.has(file.$id)
+);
+
+/**
+ * Human-readable usage line for the logs.
+ * @param {Record<string, { files: number, bytes: number }>} usage
+ * @returns {string}
+ */
+export const formatUsage = (usage) => Object.entries(usage)
+  .sort(([, a], [, b]) => b.bytes - a.bytes)
+  .map(([kind, { files, bytes }]) => `${kind}: ${files} files, ${(bytes / 1024 / 1024).toFixed(1)} MB`)
+  .join('; ');
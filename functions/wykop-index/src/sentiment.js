@@ -0,0 +1,72 @@
+/**
+ * Sentiment prompt and response schema.
+ * Shared by the scheduled function and the backfill script, so rescored readings use the exact same prompt.
+ */
+import { TAG_CONFIGS } from './tags.js';
+import { formatSlangHint } from './slang.js';
+
+// Models tried by the retry helpers: the primary one first, the backup on the final attempt
+export const PRIMARY_MODEL = 'gemini-3.5-flash';
+export const BACKUP_MODEL = 'gemini-2.5-flash';
+
+export const SYSTEM_INSTRUCTION = `You are a helpful assistant that analyzes sentiment about stock markets on a Polish social media platform.
+    The username of an account from which your responses are posted is KrachSmieciuchIndex.
+
+    BEHAVIORAL RULES:
+    - Always respond in Polish.
+    - When quoting the users, do not censor their language - use an exact quote.
+
+    CRITICAL: You MUST respond with ONLY raw JSON. DO NOT wrap your response in markdown code blocks. DO NOT add any text before or after the JSON. Your entire response must be valid JSON that can be directly parsed.`;
+
+/**
+ * Build the sentiment prompt for a tag's parsed posts.
+ * @param {string} tag
+ * @param {object[]} parsedData  Output of parsePosts
+ * @param {{ term: string, meaning: string }[]} [slang]  Approved entries of the slang table
+ * @returns {string}
+ */
+export const buildSentimentPrompt = (tag, parsedData, slang = []) => {
+  const tagConfig = TAG_CONFIGS[tag];
+  const hints = [...tagConfig.hints, formatSlangHint(slang)].filter(hint => hint);
+  return `Przeanalizuj najnowsze wpisy z tagu #${tag} na portalu wykop.pl (tematyka: ${tagConfig.topic}). Sklasyfikuj sentyment kazdego wpisu i komentarza
+      oraz opisz obecne nastroje uzytkownikow. Uzyj cytatow jako uzasadnienia.
+    
+      Odpowiedz w nastepujacym formacie JSON:
+      {
+        "classifications": [
+          {"id": "id wpisu lub komentarza", "label": "BULLISH/BEARISH/NEUTRALNY", "confidence": "pewnosc klasyfikacji od 0 do 1 jako string"}
+        ],
+        "summary": "analiza nastrojow na tagu (max 1000 znakow)",
+        "mostDiscussed": [
+          {"asset": "nazwa spolki/aktywa", "reasoning": "krotkie uzasadnienie", "url": "link do wpisu lub komentarza ktory omawia dany asset"},
+          {"asset": "nazwa spolki/aktywa", "reasoning": "krotkie uzasadnienie", "url": "link do wpisu lub komentarza ktory omawia dany asset"},
+          {"asset": "nazwa spolki/aktywa", "reasoning": "krotkie uzasadnienie", "url": "link do wpisu lub komentarza ktory omawia dany asset"}
+        ],
+        "topQuotes": [
+          {"username": "nazwa uzytkownika", "sentiment": "BULLISH/BEARISH/NEUTRALNY", "quote": "krotki cytat", "url": "link do wpisu lub komentarza ktory zawiera cytat"},
+          {"username": "nazwa uzytkownika", "sentiment": "BULLISH/BEARISH/NEUTRALNY", "quote": "krotki cytat", "url": "link do wpisu lub komentarza ktory zawiera cytat"},
+          {"username": "nazwa uzytkownika", "sentiment": "BULLISH/BEARISH/NEUTRALNY", "quote": "krotki cytat", "url": "link do wpisu lub komentarza ktory zawiera cytat"}
+        ],
+        "assets": [
+          {"asset": "kanoniczna nazwa spolki/aktywa", "score": "liczba od 1 do 100 jako string", "mentions": "liczba wzmianek jako string"}
+        ]
+      }
+    
+      WAZNE:
+      - classifications: jedna pozycja dla KAZDEGO wpisu i KAZDEGO komentarza, z polem id skopiowanym dokladnie z danych wejsciowych. label opisuje nastawienie autora do rynku (BULLISH = oczekuje wzrostow, BEARISH = oczekuje spadkow, NEUTRALNY = brak wyraznego nastawienia lub wpis nie na temat).
+      - mostDiscussed: trzy najczesciej omawiane spolki lub aktywa.
+      - topQuotes: top 3 krotkich cytatow z najczesciej plusowanych wpisow uzytkownikow. UWAGA: Upewnij sie, ze pole username to uzytkownik, ktory faktycznie napisal dany cytat, a nie inny uzytkownik, ktory skomentowal ten sam wpis.
+      - assets: wszystkie omawiane spolki lub aktywa (nie tylko trzy najczesciej omawiane). score to sentyment uzytkownikow wobec danego aktywa w skali 1-100 (1 = ekstremalnie bearish, 100 = ekstremalnie bullish), a mentions to liczba wpisow i komentarzy, ktore o nim wspominaja. Uzywaj krotkiej, kanonicznej nazwy (np. "XTB", "Orlen", "CD Projekt", "Bitcoin") niezaleznie od slangu uzytego we wpisach.
+${hints.map(hint => `      - ${hint}`).join('\n')}
+      - Wszystkie pola w odpowiedzi sa wymagane.
+    
+      Wpisy: ${JSON.stringify(parsedData)}`;
+};
+
+export const SENTIMENT_SCHEMA = {
+  classifications: { type: 'array-of-objects', requiredFields: ['id', 'label', 'confidence'] },
+  summary: 'string',
+  mostDiscussed: { type: 'array-of-objects', requiredFields: ['asset', 'reasoning', 'url'] },
+  topQuotes: { type: 'array-of-objects', requiredFields: ['username', 'sentiment', 'quote', 'url'] },
+  assets: { type: 'array-of-objects', requiredFields: ['asset', 'score', 'mentions'] }
+};
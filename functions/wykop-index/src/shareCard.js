@@ -0,0 +1,116 @@
+/**
+ * Social card (Open Graph image, 1200 x 630) of a reading: the rendered gauge, the value, the date and a one-line summary.
+ * Served by the /share route of wykop-media, so shared links show the reading they point to.
+ */
+import { createCanvas, loadImage } from '@napi-rs/canvas';
+import { getSentimentColor } from './utils.js';
+import { DEFAULT_TAG } from './tags.js';
+
+const WIDTH = 1200;
+const HEIGHT = 630;
+const MAX_SUMMARY_LENGTH = 160;
+
+// Size of every rendered card, for the og:image:width and og:image:height tags of the share page
+export const SHARE_CARD_SIZE = { width: WIDTH, height: HEIGHT };
+
+/**
+ * First sentence of the summary, shortened for the card and og:description.
+ * @param {string|null|undefined} summary
+ * @returns {string}
+ */
+export const getSummaryLine = (summary) => {
+  const text = String(summary ?? '').replace(/\s+/g, ' ').trim();
+  const sentence = text.match(/^.+?[.!?](?=\s|$)/)?.[0] ?? text;
+  return sentence.length > MAX_SUMMARY_LENGTH
+    ? `${sentence.slice(0, MAX_SUMMARY_LENGTH - 1).replace(/\s+\S*$/, '')}…`
+    : sentence;
+};
+
+// Greedy word wrap, the last line is cut with an ellipsis when the text does not fit
+const wrapText = (ctx, text, maxWidth, maxLines) => {
+  const lines = [];
+  let line = '';
+  for (const word of text.split(' ')) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (ctx.measureText(candidate).width <= maxWidth || !line) {
+      line = candidate;
+      continue;
+    }
+    lines.push(line);
+    line = word;
+    if (lines.length === maxLines) break;
+  }
+  if (lines.length < maxLines && line) {
+    lines.push(line);
+  } else if (lines.length === maxLines && line) {
+    let last = lines[maxLines - 1];
+    while (last && ctx.measureText(`${last}…`).width > maxWidth) {
+      last = last.replace(/\s*\S+$/, '');
+    }
+    lines[maxLines - 1] = `${last}…`;
+  }
+  return lines;
+};
+
+/**
+ * Render the card.
+ * @param {Buffer} gaugeImageBuffer  Rendered gauge (see renderGauge)
+ * @param {{ tag: string, sentiment: number, date: Date, summary: string|null }} reading
+ * @returns {Promise<Buffer>}  PNG
+ */
+export const renderShareCard = async (gaugeImageBuffer, { tag, sentiment, date, summary }) => {
+  const canvas = createCanvas(WIDTH, HEIGHT);
+  const ctx = canvas.getContext('2d');
+
+  ctx.fillStyle = '#FAFAFB';
+  ctx.fillRect(0, 0, WIDTH, HEIGHT);
+
+  // Gauge on the left, scaled to fit while keeping its proportions
+  const gauge = await loadImage(gaugeImageBuffer);
+  const gaugeBox = { x: 30, y: 60, width: 560, height: 510 };
+  const scale = Math.min(gaugeBox.width / gauge.width, gaugeBox.height / gauge.height);
+  const gaugeWidth = gauge.width * scale;
+  const gaugeHeight = gauge.height * scale;
+  ctx.drawImage(gauge, gaugeBox.x + (gaugeBox.width - gaugeWidth) / 2, gaugeBox.y + (gaugeBox.height - gaugeHeight) / 2, gaugeWidth, gaugeHeight);
+
+  const textX = 620;
+  const textWidth = WIDTH - textX - 50;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'alphabetic';
+
+  ctx.fillStyle = '#2D2D31';
+  ctx.font = 'bold 36px sans-serif';
+  ctx.fillText('Krach & Śmieciuch Index', textX, 120);
+  ctx.fillStyle = '#97979B';
+  ctx.font = '28px sans-serif';
+  ctx.fillText(tag !== DEFAULT_TAG ? `#${tag}` : '#gielda na Wykopie', textX, 165);
+
+  ctx.fillStyle = getSentimentColor(sentiment);
+  ctx.font = 'bold 150px sans-serif';
+  ctx.fillText(String(sentiment), textX, 320);
+  const valueWidth = ctx.measureText(String(sentiment)).width;
+  ctx.fillStyle = '#97979B';
+  ctx.font = 'bold 48px sans-serif';
+  ctx.fillText('/100', textX + valueWidth + 10, 320);
+
+  ctx.font = '26px sans-serif';
+  ctx.fillText(date.toLocaleString('pl-PL', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone: 'Europe/Warsaw'
+  }), textX, 370);
+
+  const summaryLine = getSummaryLine(summary);
+  if (summaryLine) {
+    ctx.fillStyle = '#56565C';
+    ctx.font = '26px sans-serif';
+    wrapText(ctx, summaryLine, textWidth, 5).forEach((line, index) => {
+      ctx.fillText(line, textX, 430 + index * 36);
+    });
+  }
+
+  return canvas.toBuffer('image/png');
+};
@@ -0,0 +1,120 @@
+/**
+ * Market slang dictionary (table `slang`, shared with wykop-post).
+ * Approved entries are injected into the sentiment prompt and drive a deterministic
+ * mention counter, so "Szczur" and "XTB" are counted as the same asset.
+ * This is the canonical copy of DEFAULT_SLANG, loadSlang and formatSlangHint: the functions are deployed
+ * separately, so wykop-post/src/slang.js duplicates them and has to follow every change made here.
+ */
+import { Query } from 'node-appwrite';
+import { normalizeText } from './lexicon.js';
+
+export const SLANG_COLLECTION = 'slang';
+
+// Terms that used to be hardcoded in the prompts. They seed the table (npm run seed-slang) and stand in
+// for it while it has no approved entries, so the prompts never lose the basic slang
+export const DEFAULT_SLANG = [
+  { term: 'Szczur', meaning: 'XTB', ticker: 'XTB' },
+  { term: 'Olejorz', meaning: 'Orlen', ticker: 'PKN' },
+  { term: 'Okniorz', meaning: 'Microsoft', ticker: 'MSFT' },
+];
+
+// Terms shorter than this only match whole words; longer ones also match inflected forms (Szczura, Olejorzem)
+const MIN_PREFIX_LENGTH = 5;
+
+/**
+ * Load approved slang entries. While the table has none, or cannot be read, the built-in DEFAULT_SLANG is
+ * returned with a warning, so no prompt is ever built without the basic slang.
+ * @param {import('node-appwrite').TablesDB} tablesDB
+ * @param {string} databaseId
+ * @param {(message: string) => void} [warn]  Logger of the fallback, e.g. the function's `error`
+ * @returns {Promise<{ term: string, meaning: string, ticker: string|null }[]>}
+ */
+export const loadSlang = async (tablesDB, databaseId, warn = console.warn) => {
+  let response;
+  try {
+    response = await tablesDB.listRows({
+      databaseId: databaseId,
+      tableId: SLANG_COLLECTION,
+      queries: [
+        Query.equal('status', 'approved'),
+        Query.select(['term', 'meaning', 'ticker']),
+        Query.limit(500)
+      ]
+    });
+  } catch (slangError) {
+    warn(`Failed to load slang, using the built-in slang: ${slangError.message}`);
+    return DEFAULT_SLANG;
+  }
+  if (response.rows.length === 0) {
+    warn(`No approved entries in the ${SLANG_COLLECTION} table, using the built-in slang (seed it with npm run seed-slang in wykop-index)`);
+    return DEFAULT_SLANG;
+  }
+  return response.rows.map(row => ({ term: row.term, meaning: row.meaning, ticker: row.ticker || null }));
+};
+
+/**
+ * Prompt hint listing the slang terms, in the ASCII style of the prompts.
+ * @param {{ term: string, meaning: string }[]} slang
+ * @returns {string|null}
+ */
+export const formatSlangHint = (slang) => slang.length > 0
+  ? `Slang tagowy: ${slang.map(entry => `${entry.term} = ${entry.meaning}`).join('; ')}.`
+  : null;
+
+const buildMatchers = (slang) => {
+  const byAsset = new Map();
+  for (const entry of slang) {
+    const matchers = byAsset.get(entry.meaning) ?? [];
+    for (const word of [entry.term, entry.meaning]) {
+      const normalized = normalizeText(word);
+      if (normalized) matchers.push({ words: normalized.split(/\s+/), prefix: normalized.length >= MIN_PREFIX_LENGTH });
+    }
+    if (entry.ticker) matchers.push({ ticker: entry.ticker.toUpperCase() });
+    byAsset.set(entry.meaning, matchers);
+  }
+  return byAsset;
+};
+
+const matchesWords = (tokens, { words, prefix }) => tokens.some((_, start) => words.every((word, offset) => {
+  const token = tokens[start + offset];
+  if (!token) return false;
+  // Only the last word of a multi-word term inflects
+  return prefix && offset === words.length - 1 ? token.startsWith(word) : token === word;
+}));
+
+/**
+ * Count entries and comments mentioning each asset, by slang term, canonical name or ticker.
+ * Each item counts at most once per asset.
+ * @param {object[]} parsedData  Output of parsePosts
+ * @param {{ term: string, meaning: string, ticker: string|null }[]} slang
+ * @returns {Record<string, number>} Mentions keyed by canonical asset name
+ */
+export const countAssetMentions = (parsedData, slang) => {
+  const byAsset = buildMatchers(slang);
+  const items = parsedData.flatMap(entry => [entry, ...(entry.comments || [])]);
+  const counts = {};
+
+  for (const item of items) {
+    const content = String(item.content ?? '');
+    const tokens = normalizeText(content).split(/[^a-z0-9$]+/).filter(token => token).map(token => token.replace(/^\$/, ''));
+    const tickers = new Set((content.match(/\$?\b[A-Z][A-Z0-9.]{1,9}\b/g) || []).map(ticker => ticker.replace(/^\$/, '')));
+
+    for (const [asset, matchers] of byAsset) {
+      const mentioned = matchers.some(matcher => matcher.ticker ? tickers.has(matcher.ticker) : matchesWords(tokens, matcher));
+      if (mentioned) counts[asset] = (counts[asset] || 0) + 1;
+    }
+  }
+  return counts;
+};
+
+/**
+ * Map asset names returned by the model to their canonical name when the model used slang.
+ * @param {string} asset
+ * @param {{ term: string, meaning: string }[]} slang
+ * @returns {string}
+ */
+export const canonicalAssetName = (asset, slang) => {
+  const normalized = normalizeText(asset);
+  const entry = slang.find(item => normalizeText(item.term) === normalized || normalizeText(item.meaning) === normalized);
+  return entry ? entry.meaning : asset;
+};
@@ -0,0 +1,57 @@
+/**
+ * Per-tag configuration for the sentiment pipeline.
+ * `topic` and `hints` are injected into the sentiment prompt so each community
+ * gets analysed with its own context; market slang is shared and comes from the `slang` table.
+ * `tomek` adds Tomkowe Kreski to the post.
+ * `benchmark` is the market (key of BENCHMARKS in prices.js) that analyst calls are scored against.
+ */
+export const TAG_CONFIGS = {
+  gielda: {
+    topic: 'rynek akcji (GPW i gieldy zagraniczne)',
+    hints: [],
+    tomek: true,
+    benchmark: 'wig20',
+  },
+  kryptowaluty: {
+    topic: 'rynek kryptowalut',
+    hints: ['BTC = Bitcoin; ETH = Ethereum; "hodl" oznacza trzymanie pozycji mimo spadkow.'],
+    benchmark: 'btc',
+  },
+  inwestycje: {
+    topic: 'inwestowanie ogolnie (akcje, obligacje, ETF, lokaty, surowce)',
+    hints: ['IKE/IKZE to konta emerytalne; EDO/COI to obligacje skarbowe.'],
+    benchmark: 'sp500',
+  },
+  nieruchomosci: {
+    topic: 'rynek nieruchomosci w Polsce (ceny mieszkan, kredyty hipoteczne, najem)',
+    hints: ['"Patodeweloperka" to krytyka deweloperow; bearish = spadki cen mieszkan, bullish = wzrosty cen mieszkan.'],
+    benchmark: null,
+  },
+};
+
+// Tag used when TAGS is not configured; it also owns the subscriber list.
+export const DEFAULT_TAG = 'gielda';
+
+/**
+ * Resolve the list of tags to process from a comma-separated env value.
+ * Unknown tags are dropped so a typo does not produce an unconfigured index.
+ * @param {string|null|undefined} tagList
+ * @returns {string[]}
+ */
+export const getEnabledTags = (tagList) => {
+  if (!tagList) return [DEFAULT_TAG];
+  const tags = [...new Set(tagList.split(',').map(tag => tag.trim().replace(/^#/, '').toLowerCase()).filter(tag => tag))];
+  const known = tags.filter(tag => tag in TAG_CONFIGS);
+  return known.length > 0 ? known : [DEFAULT_TAG];
+};
+
+/**
+ * Build the query that selects sentiment rows of a tag.
+ * Rows written before the `tag` column existed have no tag and belong to the default tag.
+ * @param {typeof import('node-appwrite').Query} Query
+ * @param {string} tag
+ * @returns {string}
+ */
+export const tagQuery = (Query, tag) => tag === DEFAULT_TAG
+  ? Query.or([Query.equal('tag', tag), Query.isNull('tag')])
+  : Query.equal('tag', tag);
@@ -19,7 +19,7 @@ export const cleanJsonResponse = (text) => {
 /**
  * Validate an object against a simple schema definition.
  * @param {object} data
- * @param {object} schema  Keys map to 'string' | 'array-of-objects' | { type, requiredFields }
+ * @param {object} schema  Keys map to 'string' | 'array-of-strings' | 'array-of-objects' | { type, requiredFields }
  * @returns {string[]} List of validation error messages (empty = valid)
  */
 export const validateSchema = (data, schema) => {
@@ -32,6 +32,10 @@ export const validateSchema = (data, schema) => {
       errors.push(`Missing field: ${key}`);
     } else if (type === 'string' && typeof data[key] !== 'string') {
       errors.push(`Field ${key} should be string, got ${typeof data[key]}`);
+    } else if (type === 'array-of-strings' && !Array.isArray(data[key])) {
+      errors.push(`Field ${key} should be array, got ${typeof data[key]}`);
+    } else if (type === 'array-of-strings' && data[key].some(item => typeof item !== 'string')) {
+      errors.push(`Field ${key} should be array of strings, but contains non-string elements`);
     } else if (type === 'array-of-objects' && !Array.isArray(data[key])) {
       errors.push(`Field ${key} should be array, got ${typeof data[key]}`);
     } else if (type === 'array-of-objects' && Array.isArray(data[key])) {
@@ -130,3 +134,227 @@ export const getTopUser = (counts) => {
 
   return { username, count: maxCount };
 };
+
+/**
+ * Zone color of a sentiment value, same thresholds and colors as the site.
+ * @param {number} sentiment
+ * @returns {string}
+ */
+export const getSentimentColor = (sentiment) => {
+  if (sentiment <= 20) return '#b91c1c';
+  if (sentiment <= 40) return '#ef4444';
+  if (sentiment <= 60) return '#FFBF00';
+  if (sentiment <= 80) return '#4CBB17';
+  return '#008000';
+};
+
+/**
+ * Normalise the per-asset scores returned by the model into rows for the assets table.
+ * Scores are clamped to 1-100, duplicate assets (case-insensitive) are merged by mention count.
+ * @param {object[]|undefined} assets  Items of shape { asset, score, mentions }
+ * @returns {{ asset: string, score: number, mentions: number }[]}
+ */
+export const parseAssetScores = (assets) => {
+  if (!Array.isArray(assets)) return [];
+
+  const merged = new Map();
+  for (const item of assets) {
+    const asset = String(item.asset ?? '').replace(/\s+/g, ' ').trim().slice(0, 100);
+    const score = parseInt(item.score);
+    const mentions = Math.max(1, parseInt(item.mentions) || 1);
+    if (!asset || Number.isNaN(score)) continue;
+
+    const key = asset.toLowerCase();
+    const existing = merged.get(key);
+    const clampedScore = Math.min(100, Math.max(1, score));
+    if (existing) {
+      const totalMentions = existing.mentions + mentions;
+      existing.score = Math.round((existing.score * existing.mentions + clampedScore * mentions) / totalMentions);
+      existing.mentions = totalMentions;
+    } else {
+      merged.set(key, { asset, score: clampedScore, mentions });
+    }
+  }
+  return [...merged.values()];
+};
+
+// Direction of each classification label; the model answers in Polish like the rest of the prompt
+const LABEL_DIRECTIONS = { BULLISH: 1, NEUTRALNY: 0, NEUTRAL: 0, BEARISH: -1 };
+
+/**
+ * Compute the sentiment index from per-item classifications returned by the model.
+ * Each entry/comment weighs confidence * (1 + ln(1 + votes)), so highly upvoted posts count more
+ * without letting a single viral post dominate. Ids not present in the corpus are ignored.
+ * @param {object[]|undefined} classifications  Items of shape { id, label, confidence }
+ * @param {object[]} parsedData  Output of parsePosts
+ * @returns {{
+ *   score: number,
+ *   distribution: { bullish: number, bearish: number, neutral: number, unclassified: number, weightedBullish: number, weightedBearish: number, weightedNeutral: number },
+ *   classifications: { id: number, label: string, confidence: number, votes: number, weight: number }[]
+ * }}
+ */
+export const aggregateClassifications = (classifications, parsedData) => {
+  const votesById = new Map();
+  for (const entry of parsedData) {
+    for (const item of [entry, ...(entry.comments || [])]) {
+      votesById.set(String(item.id), Math.max(0, item.votes || 0));
+    }
+  }
+
+  const seen = new Set();
+  const normalized = [];
+  for (const item of Array.isArray(classifications) ? classifications : []) {
+    const id = String(item.id ?? '').trim();
+    const label = String(item.label ?? '').trim().toUpperCase();
+    if (!votesById.has(id) || seen.has(id) || !(label in LABEL_DIRECTIONS)) continue;
+    seen.add(id);
+
+    const parsedConfidence = parseFloat(item.confidence);
+    const confidence = Number.isNaN(parsedConfidence) ? 0.5 : Math.min(1, Math.max(0, parsedConfidence));
+    const votes = votesById.get(id);
+    const weight = confidence * (1 + Math.log1p(votes));
+    normalized.push({ id: Number(id), label, confidence, votes, weight: Math.round(weight * 1000) / 1000 });
+  }
+
+  let bullish = 0, bearish = 0, neutral = 0;
+  let weightedBullish = 0, weightedBearish = 0, weightedNeutral = 0;
+  for (const item of normalized) {
+    const direction = LABEL_DIRECTIONS[item.label];
+    if (direction > 0) { bullish++; weightedBullish += item.weight; }
+    else if (direction < 0) { bearish++; weightedBearish += item.weight; }
+    else { neutral++; weightedNeutral += item.weight; }
+  }
+
+  // Neutral items dilute the polarity; an empty or fully unclassified corpus is neutral (50)
+  const totalWeight = weightedBullish + weightedBearish + weightedNeutral;
+  const polarity = totalWeight > 0 ? (weightedBullish - weightedBearish) / totalWeight : 0;
+  const score = Math.min(100, Math.max(1, Math.round(50.5 + 49.5 * polarity)));
+  const round = (value) => Math.round(value * 100) / 100;
+
+  return {
+    score,
+    distribution: {
+      bullish,
+      bearish,
+      neutral,
+      unclassified: votesById.size - normalized.length,
+      weightedBullish: round(weightedBullish),
+      weightedBearish: round(weightedBearish),
+      weightedNeutral: round(weightedNeutral),
+    },
+    classifications: normalized,
+  };
+};
+
+// Share of the corpus the model has to label; a response below it is retried like an invalid one
+// instead of publishing an index computed from a handful of items (or 50 from none)
+export const MIN_CLASSIFIED_SHARE = 0.5;
+
+/**
+ * Reject an aggregated response that labels too little of the corpus. Thrown inside the retry loop,
+ * so a mostly unlabelled response gets another attempt instead of being saved.
+ * @param {ReturnType<typeof aggregateClassifications>} aggregated
+ * @returns {{ classified: number, total: number }}
+ * @throws {Error} When less than MIN_CLASSIFIED_SHARE of a non-empty corpus is classified
+ */
+export const assertClassifiedShare = (aggregated) => {
+  const { unclassified } = aggregated.distribution;
+  const total = aggregated.classifications.length + unclassified;
+  const classified = total - unclassified;
+  if (total > 0 && classified / total < MIN_CLASSIFIED_SHARE) {
+    throw new Error(`AI classified only ${classified} of ${total} items, below ${MIN_CLASSIFIED_SHARE * 100}%`);
+  }
+  return { classified, total };
+};
+
+/**
+ * Check whether an execution asked for a dry run, via the `x-dry-run` header or `{ "dryRun": true }` in the body.
+ * Scheduled executions have neither, so they always run for real.
+ * @param {object} req  Appwrite function request
+ * @returns {boolean}
+ */
+export const isDryRun = (req) => {
+  const header = req?.headers?.['x-dry-run'];
+  if (header !== undefined && header !== '' && !['0', 'false'].includes(String(header).toLowerCase())) {
+    return true;
+  }
+
+  let body = req?.body;
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch {
+      return false;
+    }
+  }
+  return body?.dryRun === true || body?.dryRun === 'true';
+};
+
+/**
+ * Map items through an async function with at most `limit` calls in flight. Results keep the input order.
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @returns {Promise<R[]>}
+ */
+export const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+};
+
+/**
+ * Bucket entries and their comments by hour of day. Wykop timestamps are already in Europe/Warsaw time,
+ * so the hour is read directly from "YYYY-MM-DD HH:MM:SS".
+ * @param {object[]} entries  Raw stream entries (with comment threads)
+ * @returns {{ entries: number[], comments: number[] }} 24 counts each, index = hour
+ */
+export const buildHourlyActivity = (entries) => {
+  const hourOf = (createdAt) => parseInt(String(createdAt).slice(11, 13), 10);
+  const activity = { entries: new Array(24).fill(0), comments: new Array(24).fill(0) };
+  for (const entry of entries) {
+    const entryHour = hourOf(entry.created_at);
+    if (entryHour >= 0 && entryHour < 24) activity.entries[entryHour]++;
+    for (const comment of entry.comments?.items || []) {
+      const commentHour = hourOf(comment.created_at);
+      if (commentHour >= 0 && commentHour < 24) activity.comments[commentHour]++;
+    }
+  }
+  return activity;
+};
+
+/**
+ * Entries and comments per user created in [since, until), for the user_activity table.
+ * Wykop timestamps are Europe/Warsaw time, so they are shifted back by the Poland offset like the stream itself.
+ * @param {object[]} entries  Raw stream entries (with comment threads)
+ * @param {Date} since
+ * @param {Date} until
+ * @param {number} polandOffset  Europe/Warsaw offset from UTC in ms
+ * @returns {Record<string, [number, number]>} username -> [entries, comments]
+ */
+export const countUserActivity = (entries, since, until, polandOffset) => {
+  const isInWindow = (createdAt) => {
+    const time = new Date(String(createdAt).replace(' ', 'T') + 'Z').getTime() - polandOffset;
+    return time >= since.getTime() && time < until.getTime();
+  };
+  const counts = {};
+  const add = (username, index) => {
+    counts[username] ??= [0, 0];
+    counts[username][index]++;
+  };
+  for (const entry of entries) {
+    if (isInWindow(entry.created_at)) add(entry.author.username, 0);
+    for (const comment of entry.comments?.items || []) {
+      if (isInWindow(comment.created_at)) add(comment.author.username, 1);
+    }
+  }
+  return counts;
+};
@@ -0,0 +1,151 @@
+/**
+ * Weekly recap: aggregates a week of readings of one tag and compares it with the week before.
+ * Everything here is computed from stored rows, so a recap can be rebuilt at any time.
+ */
+import { DEFAULT_TAG } from './tags.js';
+
+const average = (values) => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+const round = (value, digits = 0) => value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+const numbers = (rows, key) => rows.map(row => row[key]).filter(value => typeof value === 'number');
+
+const parseJson = (text, fallback) => {
+  try {
+    return text ? JSON.parse(text) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+/**
+ * Merge asset rows into one mention-weighted score per asset.
+ * @param {{ asset: string, score: number, mentions: number }[]} rows
+ * @returns {Map<string, { asset: string, score: number, mentions: number }>}
+ */
+const aggregateAssets = (rows) => {
+  const totals = new Map();
+  for (const row of rows) {
+    const key = row.asset.toLowerCase();
+    const total = totals.get(key) ?? { asset: row.asset, weightedScore: 0, mentions: 0 };
+    total.weightedScore += row.score * row.mentions;
+    total.mentions += row.mentions;
+    totals.set(key, total);
+  }
+  return new Map([...totals].map(([key, total]) => [key, { asset: total.asset, score: Math.round(total.weightedScore / total.mentions), mentions: total.mentions }]));
+};
+
+/**
+ * Build the recap of a week.
+ * @param {object} params
+ * @param {object[]} params.readings  Sentiment rows of the week, oldest first
+ * @param {object[]} params.previousReadings  Sentiment rows of the week before, oldest first
+ * @param {object[]} params.assets  Asset rows of the week
+ * @param {object[]} params.previousAssets  Asset rows of the week before
+ * @returns {object}
+ */
+export const buildWeeklyRecap = ({ readings, previousReadings, assets, previousAssets }) => {
+  const sentiments = numbers(readings, 'sentiment');
+
+  // Biggest move between two consecutive readings
+  let biggestSwing = null;
+  for (let i = 1; i < readings.length; i++) {
+    const change = readings[i].sentiment - readings[i - 1].sentiment;
+    if (!biggestSwing || Math.abs(change) > Math.abs(biggestSwing.change)) {
+      biggestSwing = { from: readings[i - 1].sentiment, to: readings[i].sentiment, change, at: readings[i].$createdAt };
+    }
+  }
+
+  const previousAssetScores = aggregateAssets(previousAssets);
+  const topAssets = [...aggregateAssets(assets).entries()]
+    .sort(([, a], [, b]) => b.mentions - a.mentions)
+    .slice(0, 5)
+    .map(([key, asset]) => ({ ...asset, previousScore: previousAssetScores.get(key)?.score ?? null }));
+
+  const quoteCounts = {};
+  for (const reading of readings) {
+    const quotes = parseJson(reading.topQuotes, []);
+    for (const quote of Array.isArray(quotes) ? quotes : []) {
+      const username = String(quote.username ?? '').replace(/^@/, '');
+      if (username) quoteCounts[username] = (quoteCounts[username] || 0) + 1;
+    }
+  }
+  const topQuoted = Object.entries(quoteCounts)
+    .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+    .slice(0, 3)
+    .map(([username, count]) => ({ username, count }));
+
+  const followers = readings.at(-1)?.followers ?? null;
+  const previousFollowers = previousReadings.at(-1)?.followers ?? null;
+
+  return {
+    readings: readings.length,
+    avgSentiment: round(average(sentiments)),
+    previousAvgSentiment: round(average(numbers(previousReadings, 'sentiment'))),
+    minSentiment: sentiments.length > 0 ? Math.min(...sentiments) : null,
+    maxSentiment: sentiments.length > 0 ? Math.max(...sentiments) : null,
+    biggestSwing,
+    topAssets,
+    topQuoted,
+    followers,
+    followersChange: followers !== null && previousFollowers !== null ? followers - previousFollowers : null,
+    avgEntries: round(average(numbers(readings, 'entriesLast24h'))),
+    previousAvgEntries: round(average(numbers(previousReadings, 'entriesLast24h'))),
+    avgUsers: round(average(numbers(readings, 'uniqueUsersLast24h'))),
+    previousAvgUsers: round(average(numbers(previousReadings, 'uniqueUsersLast24h'))),
+  };
+};
+
+const formatChange = (value, previous) => {
+  if (value === null || previous === null) return '';
+  const change = value - previous;
+  return `(tydzień wcześniej: ${previous}; zmiana: ${change >= 0 ? '+' : ''}${change})`;
+};
+
+const formatPercentChange = (value, previous) => {
+  if (value === null || !previous) return '';
+  const change = Math.round((value - previous) / previous * 100);
+  return `(tydzień wcześniej: ${previous}; zmiana: ${change >= 0 ? '+' : ''}${change}%)`;
+};
+
+const formatWarsawDay = (date) => new Date(date).toLocaleString('pl-PL', { weekday: 'long', hour: '2-digit', minute: '2-digit', timeZone: 'Europe/Warsaw' });
+
+/**
+ * Wykop entry with the recap.
+ * @param {string} tag
+ * @param {ReturnType<typeof buildWeeklyRecap>} recap
+ * @param {Date} weekStart
+ * @param {Date} weekEnd
+ * @returns {string}
+ */
+export const formatRecapPost = (tag, recap, weekStart, weekEnd) => {
+  const siteUrl = tag === DEFAULT_TAG
+    ? 'https://wykop-index.appwrite.network/'
+    : `https://wykop-index.appwrite.network/?tag=${tag}`;
+  const formatDate = (date) => date.toLocaleDateString('pl-PL', { day: '2-digit', month: '2-digit', timeZone: 'Europe/Warsaw' });
+
+  const swing = recap.biggestSwing
+    ? `🎢 Największa zmiana: ${recap.biggestSwing.from} → ${recap.biggestSwing.to} (${recap.biggestSwing.change >= 0 ? '+' : ''}${recap.biggestSwing.change}, ${formatWarsawDay(recap.biggestSwing.at)})`
+    : '';
+
+  const assets = recap.topAssets
+    .map(asset => `📊 ${asset.asset}: ${asset.score}/100, wzmianki: ${asset.mentions}${asset.previousScore !== null ? ` (tydzień wcześniej: ${asset.previousScore})` : ''}`)
+    .join('\n');
+
+  const quoted = recap.topQuoted
+    .map(user => `👤 @${user.username} - ${user.count}× w topowych cytatach`)
+    .join('\n');
+
+  return `[Krach & Śmieciuch Index${tag !== DEFAULT_TAG ? ` #${tag}` : ''}](${siteUrl}) - podsumowanie tygodnia ${formatDate(weekStart)}-${formatDate(weekEnd)}
+
+**Średnio ${recap.avgSentiment}/100** ${formatChange(recap.avgSentiment, recap.previousAvgSentiment)}
+📉 Minimum: ${recap.minSentiment}, 📈 maksimum: ${recap.maxSentiment} (odczytów: ${recap.readings})
+${swing}
+${assets ? `\n**Najczęściej omawiane aktywa:**\n${assets}\n` : ''}${quoted ? `\n**Najczęściej cytowani:**\n${quoted}\n` : ''}
+**Statystyki tygodnia:**
+👀 Obserwujący tag: ${recap.followers ?? '-'} ${recap.followersChange !== null ? `(zmiana: ${recap.followersChange >= 0 ? '+' : ''}${recap.followersChange})` : ''}
+📜 Średnio wpisów w 24h: ${recap.avgEntries ?? '-'} ${formatPercentChange(recap.avgEntries, recap.previousAvgEntries)}
+👥 Średnio aktywnych użytkowników w 24h: ${recap.avgUsers ?? '-'} ${formatPercentChange(recap.avgUsers, recap.previousAvgUsers)}
+
+👉 [Wykresy](${siteUrl}#charts)
+
+#${tag} #wykopindex #krachsmieciuchindex`;
+};
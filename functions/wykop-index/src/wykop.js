@@ -0,0 +1,45 @@
+/**
+ * Wykop API helpers shared by the scheduled function and the backfill script.
+ */
+
+const COMMENTS_PAGE_LIMIT = 50;
+const MAX_COMMENT_PAGES = 40;
+
+/**
+ * Fetch the complete comment thread of an entry. The tag stream only includes a preview of each
+ * thread, so busy entries need to be read page by page.
+ * @param {string} token  Wykop app token
+ * @param {number|string} entryId
+ * @returns {Promise<object[]>} Raw comment objects, same shape as `entry.comments.items`
+ */
+export const fetchAllComments = async (token, entryId) => {
+  const comments = [];
+  for (let page = 1; page <= MAX_COMMENT_PAGES; page++) {
+    const response = await fetch(`https://wykop.pl/api/v3/entries/${entryId}/comments?page=${page}&limit=${COMMENTS_PAGE_LIMIT}`, {
+      method: 'GET',
+      headers: {
+        'accept': 'application/json',
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`${response.status} ${await response.text()}`);
+    }
+
+    const responseJson = await response.json();
+    const items = responseJson.data || [];
+    comments.push(...items);
+
+    const total = responseJson.pagination?.total;
+    if (items.length < COMMENTS_PAGE_LIMIT || (total !== undefined && comments.length >= total)) break;
+  }
+  return comments;
+};
+
+/**
+ * Whether the stream returned only part of an entry's comment thread.
+ * @param {object} entry  Raw stream entry
+ * @returns {boolean}
+ */
+export const hasTruncatedComments = (entry) => (entry.comments?.count || 0) > (entry.comments?.items?.length || 0);
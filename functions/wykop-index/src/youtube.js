@@ -0,0 +1,121 @@
+/**
+ * Uploads of a YouTube channel from its public Atom feed (the 15 newest, Shorts and live streams included).
+ * Shorts are recognised by their /shorts/ link in the feed. Live streams and premieres cannot be told apart
+ * in the feed, so with YOUTUBE_API_KEY the candidates are also checked with the Data API.
+ */
+import { XMLParser } from 'fast-xml-parser';
+
+// Uploads shorter than this are treated as Shorts when the Data API reports the duration
+const MIN_VIDEO_SECONDS = 180;
+
+const feedParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  // Titles and IDs stay strings even when they look like numbers
+  parseTagValue: false,
+  // YouTube escapes quotes in titles as numeric character references
+  htmlEntities: true,
+  isArray: (name) => name === 'entry' || name === 'link',
+});
+
+/**
+ * Parse a channel feed into its uploads, newest first.
+ * @param {string} xml
+ * @returns {{ videoId: string, videoUrl: string, videoTitle: string, videoPublishedAt: string|null, short: boolean }[]}
+ */
+export const parseVideoFeed = (xml) => {
+  const feed = feedParser.parse(xml)?.feed;
+  if (!feed) throw new Error('YouTube feed is not an Atom feed');
+
+  return (feed.entry ?? [])
+    .filter(entry => entry['yt:videoId'])
+    .map(entry => {
+      const videoId = String(entry['yt:videoId']).trim();
+      const videoUrl = `https://www.youtube.com/watch?v=${videoId}`;
+      const link = entry.link?.find(item => item.rel === 'alternate')?.href ?? '';
+      const publishedAt = entry.published ? new Date(entry.published) : null;
+      return {
+        videoId,
+        videoUrl,
+        videoTitle: String(entry['media:group']?.['media:title'] ?? entry.title ?? videoUrl).trim() || videoUrl,
+        videoPublishedAt: publishedAt && !Number.isNaN(publishedAt.getTime()) ? publishedAt.toISOString() : null,
+        short: link.includes('/shorts/'),
+      };
+    })
+    .sort((a, b) => (b.videoPublishedAt ?? '').localeCompare(a.videoPublishedAt ?? ''));
+};
+
+// ISO 8601 duration of the Data API, e.g. PT1H2M3S
+const parseDuration = (duration) => {
+  const match = String(duration ?? '').match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+  const [, days, hours, minutes, seconds] = match.map(part => parseInt(part ?? '0'));
+  return ((days * 24 + hours) * 60 + minutes) * 60 + seconds;
+};
+
+/**
+ * Live stream and duration details of videos from the YouTube Data API.
+ * @param {string[]} videoIds  Up to 50 IDs
+ * @param {string} apiKey
+ * @returns {Promise<Record<string, { live: boolean, durationSeconds: number|null }>>}
+ */
+export const fetchVideoDetails = async (videoIds, apiKey) => {
+  if (videoIds.length === 0) return {};
+  const params = new URLSearchParams({
+    part: 'snippet,contentDetails,liveStreamingDetails',
+    id: videoIds.join(','),
+    key: apiKey,
+  });
+  const response = await fetch(`https://www.googleapis.com/youtube/v3/videos?${params}`);
+  if (!response.ok) {
+    throw new Error(`YouTube Data API failed: ${response.status} ${await response.text()}`);
+  }
+
+  const data = await response.json();
+  return Object.fromEntries((data.items ?? []).map(item => [item.id, {
+    // Past streams keep liveStreamingDetails; upcoming and ongoing ones are also marked in the snippet
+    live: Boolean(item.liveStreamingDetails) || (item.snippet?.liveBroadcastContent ?? 'none') !== 'none',
+    durationSeconds: parseDuration(item.contentDetails?.duration),
+  }]));
+};
+
+/**
+ * Regular uploads of a channel published after a date, newest first, with the skipped Shorts and streams.
+ * @param {string} channelId
+ * @param {Date} since
+ * @param {string|undefined} apiKey  YOUTUBE_API_KEY; without it only Shorts are filtered out
+ * @returns {Promise<{ videos: object[], skipped: { videoId: string, reason: string }[] }>}
+ */
+export const fetchChannelVideos = async (channelId, since, apiKey) => {
+  const response = await fetch(`https://www.youtube.com/feeds/videos.xml?channel_id=${channelId}`);
+  if (!response.ok) {
+    throw new Error(`YouTube feed failed: ${response.status}`);
+  }
+
+  const recent = parseVideoFeed(await response.text())
+    .filter(video => video.videoPublishedAt && new Date(video.videoPublishedAt) >= since);
+
+  const skipped = [];
+  let candidates = recent.filter(video => {
+    if (video.short) skipped.push({ videoId: video.videoId, reason: 'short' });
+    return !video.short;
+  });
+
+  if (apiKey && candidates.length > 0) {
+    const details = await fetchVideoDetails(candidates.map(video => video.videoId), apiKey);
+    candidates = candidates.filter(video => {
+      const detail = details[video.videoId];
+      if (detail?.live) {
+        skipped.push({ videoId: video.videoId, reason: 'live' });
+        return false;
+      }
+      if (detail?.durationSeconds != null && detail.durationSeconds < MIN_VIDEO_SECONDS) {
+        skipped.push({ videoId: video.videoId, reason: 'short' });
+        return false;
+      }
+      return true;
+    });
+  }
+
+  return { videos: candidates.map(({ short, ...video }) => video), skipped };
+};
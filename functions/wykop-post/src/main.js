@@ -1,6 +1,7 @@
 import * as sdk from 'node-appwrite';
 import { GoogleGenAI } from '@google/genai';
 import { cleanJsonResponse, parseComment, formatEps, formatRevenue } from './utils.js';
+import { SLANG_COLLECTION, loadSlang, formatSlangHint, parseSlangProposal } from './slang.js';
 
 // Appwrite resource IDs
 const DATABASE_ID = '69617178003ac8ef4fba';
@@ -377,13 +378,83 @@ export default async ({ req, res, log: baseLog, error }) => {
       ({ entryUrl: n.post.url, questionToAnswer: n.questionToAnswer })
     ))}`);
 
+    // --- SLANG PROPOSALS SECTION ---
+    // "slang: <term> = <meaning> (<ticker>)" mentions are stored for moderation and answered without AI
+
+    const slangProposals = parsedNotifications.filter(n => parseSlangProposal(n.questionToAnswer));
+    const questionNotifications = parsedNotifications.filter(n => !parseSlangProposal(n.questionToAnswer));
+
+    for (const notification of slangProposals) {
+      const proposal = parseSlangProposal(notification.questionToAnswer);
+      try {
+        const existing = await tablesDB.listRows({
+          databaseId: DATABASE_ID,
+          tableId: SLANG_COLLECTION,
+          queries: [
+            sdk.Query.equal('term', proposal.term),
+            sdk.Query.limit(1)
+          ]
+        });
+
+        let replyText;
+        if (existing.rows.length > 0) {
+          const entry = existing.rows[0];
+          replyText = entry.status === 'approved'
+            ? `"${entry.term}" już jest w słowniku: ${entry.meaning}.`
+            : entry.status === 'pending'
+              ? `"${entry.term}" czeka już na akceptację.`
+              : `"${entry.term}" został wcześniej odrzucony.`;
+        } else {
+          await tablesDB.createRow({
+            databaseId: DATABASE_ID,
+            tableId: SLANG_COLLECTION,
+            rowId: sdk.ID.unique(),
+            data: {
+              term: proposal.term,
+              meaning: proposal.meaning,
+              ticker: proposal.ticker,
+              status: 'pending',
+              proposedBy: notification.replyToUsername,
+              sourceUrl: notification.post.url
+            }
+          });
+          log(`Slang proposal from ${notification.replyToUsername}: ${JSON.stringify(proposal)}`);
+          replyText = `Dzięki! "${proposal.term}" = ${proposal.meaning}${proposal.ticker ? ` (${proposal.ticker})` : ''} czeka na akceptację moderatora.`;
+        }
+
+        const replyResponse = await fetch(`https://wykop.pl/api/v3/entries/${notification.post.id}/comments`, {
+          method: 'POST',
+          headers: {
+            'accept': 'application/json',
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${wykopToken}`
+          },
+          body: JSON.stringify({
+            data: {
+              content: `@${notification.replyToUsername} ${replyText}`,
+              adult: false
+            }
+          })
+        });
+
+        if (!replyResponse.ok) {
+          throw new Error(`Failed to post to Wykop: ${replyResponse.status} ${await replyResponse.text()}`);
+        }
+      } catch (proposalError) {
+        error(`Failed to process slang proposal from ${notification.replyToUsername}: ${proposalError.message}`);
+      }
+    }
+
     // --- GENERATE MENTIONS RESPONSES SECTION ---
 
     let mentionsResult;
 
-    if (parsedNotifications.length === 0) {
+    if (questionNotifications.length === 0) {
       mentionsResult = [];
     } else {
+      // Approved market slang; without it the built-in terms are used
+      const slangHint = formatSlangHint(await loadSlang(tablesDB, DATABASE_ID, error));
+
       const mentionsPrompt = `Udziel odpowiedzi na wpisy/komentarze, w ktorych zostales oznaczony. Jezeli wpis nie zawiera pytania lub prosby, zignoruj go i nie umieszczaj w odpowiedzi.
       Odpowiadaj szczerze i konkretnie, bazujac na danych i faktach, ale jezeli wpis jest ironiczny lub sarkastyczny, odpowiedz w podobnym tonie.
       Odpowiadaj tylko na tekst z pola questionToAnswer, ale uwzglednij kontekst z calego wpisu (pole post) oraz komentarzy (pole comments), aby dostarczyc precyzyjna odpowiedz.
@@ -402,11 +473,10 @@ export default async ({ req, res, log: baseLog, error }) => {
       - Dlugosc odpowiedzi na kazde z pytan (pole "reply") nie moze przekroczyc 800 znakow.
       - Wszystkie pola (postId, username, url, post, reply) sa wymagane w kazdym obiekcie.
       - Jezeli nie ma pytan do odpowiedzi, zwroc pusta tablice [].
-      - XTB w tagowym slangu to Szczur, Orlen to Olejorz, a Microsoft to Okniorz.
-      - Przy pytaniach o konkretna spolke, cene, target, wyniki, wycene albo "co myslisz o X", najpierw sprawdz aktualne dane live. Preferuj Yahoo Finance dla ceny/fundamentow/newsow, a stockanalysis.com jako zapasowe zrodlo. Dla wynikow kwartalnych i kalendarza earnings uzyj https://finance.yahoo.com/calendar/earnings/ jako glowne zrodlo, a https://www.zacks.com/earnings/earnings-calendar jako zapasowe. Uzyj tez googleSearch lub urlContext do weryfikacji.
+${slangHint ? `      - ${slangHint}\n` : ''}      - Przy pytaniach o konkretna spolke, cene, target, wyniki, wycene albo "co myslisz o X", najpierw sprawdz aktualne dane live. Preferuj Yahoo Finance dla ceny/fundamentow/newsow, a stockanalysis.com jako zapasowe zrodlo. Dla wynikow kwartalnych i kalendarza earnings uzyj https://finance.yahoo.com/calendar/earnings/ jako glowne zrodlo, a https://www.zacks.com/earnings/earnings-calendar jako zapasowe. Uzyj tez googleSearch lub urlContext do weryfikacji.
       - NIGDY nie podawaj konkretnych cen akcji, wycen, EPS, P/E, dat raportowania ani innych danych finansowych z pamieci. ZAWSZE uzyj googleSearch lub urlContext, zeby sprawdzic aktualne dane PRZED odpowiedzia. Jezeli narzedzia nie zwroca danych, napisz ze nie udalo ci sie zweryfikowac aktualnych danych zamiast zgadywac.
       
-      Wpisy: ${JSON.stringify(parsedNotifications)}`;
+      Wpisy: ${JSON.stringify(questionNotifications)}`;
 
       const mentionsSchema = { requiredFields: ['postId', 'username', 'url', 'post', 'reply'] };
 
@@ -422,7 +492,7 @@ export default async ({ req, res, log: baseLog, error }) => {
           includedYouTubeSources,
           nonYouTubeEmbedUrls,
           nonYouTubeEmbedSources,
-        } = await buildMediaAttachmentParts(parsedNotifications);
+        } = await buildMediaAttachmentParts(questionNotifications);
         const mentionsContents = [...imageParts, ...videoParts];
         const mediaInfoBlocks = [];
 
@@ -591,6 +661,8 @@ export default async ({ req, res, log: baseLog, error }) => {
         databaseId: DATABASE_ID,
         tableId: SENTIMENT_COLLECTION,
         queries: [
+          // Subscription comments are only posted under the #gielda index entry
+          sdk.Query.or([sdk.Query.equal('tag', 'gielda'), sdk.Query.isNull('tag')]),
           sdk.Query.orderDesc('$createdAt'),
           sdk.Query.limit(1)
         ]
@@ -0,0 +1,74 @@
+/**
+ * Market slang dictionary (table `slang`, shared with wykop-index).
+ * Approved entries go into the mentions prompt; users propose new ones with
+ * "@KrachSmieciuchIndex slang: Okniorz = Microsoft (MSFT)", which are stored as pending until approved.
+ * DEFAULT_SLANG, loadSlang and formatSlangHint are copies of functions/wykop-index/src/slang.js, the canonical
+ * version (the functions are deployed separately); change them there first and mirror the change here.
+ */
+import * as sdk from 'node-appwrite';
+
+export const SLANG_COLLECTION = 'slang';
+
+// Terms that used to be hardcoded in the prompts; they stand in for the table while it has no approved entries
+export const DEFAULT_SLANG = [
+  { term: 'Szczur', meaning: 'XTB', ticker: 'XTB' },
+  { term: 'Olejorz', meaning: 'Orlen', ticker: 'PKN' },
+  { term: 'Okniorz', meaning: 'Microsoft', ticker: 'MSFT' },
+];
+
+// "slang: <term> = <meaning> (<optional ticker>)" on its own line
+const SLANG_COMMAND = /slang\s*:\s*([^=\n]{2,50}?)\s*=\s*([^\n(]{2,100}?)\s*(?:\(\s*\$?([A-Za-z0-9.]{1,10})\s*\))?\s*$/im;
+
+/**
+ * Load approved slang entries. While the table has none, or cannot be read, the built-in DEFAULT_SLANG is
+ * returned with a warning, so no prompt is ever built without the basic slang.
+ * @param {sdk.TablesDB} tablesDB
+ * @param {string} databaseId
+ * @param {(message: string) => void} [warn]  Logger of the fallback, e.g. the function's `error`
+ * @returns {Promise<{ term: string, meaning: string, ticker: string|null }[]>}
+ */
+export const loadSlang = async (tablesDB, databaseId, warn = console.warn) => {
+  let response;
+  try {
+    response = await tablesDB.listRows({
+      databaseId: databaseId,
+      tableId: SLANG_COLLECTION,
+      queries: [
+        sdk.Query.equal('status', 'approved'),
+        sdk.Query.select(['term', 'meaning', 'ticker']),
+        sdk.Query.limit(500)
+      ]
+    });
+  } catch (slangError) {
+    warn(`Failed to load slang, using the built-in slang: ${slangError.message}`);
+    return DEFAULT_SLANG;
+  }
+  if (response.rows.length === 0) {
+    warn(`No approved entries in the ${SLANG_COLLECTION} table, using the built-in slang (seed it with npm run seed-slang in wykop-index)`);
+    return DEFAULT_SLANG;
+  }
+  return response.rows.map(row => ({ term: row.term, meaning: row.meaning, ticker: row.ticker || null }));
+};
+
+/**
+ * Prompt hint listing the slang terms, in the ASCII style of the prompts.
+ * @param {{ term: string, meaning: string }[]} slang
+ * @returns {string|null}
+ */
+export const formatSlangHint = (slang) => slang.length > 0
+  ? `Slang tagowy: ${slang.map(entry => `${entry.term} = ${entry.meaning}`).join('; ')}.`
+  : null;
+
+/**
+ * Parse a slang proposal command from a mention.
+ * @param {string|null} content
+ * @returns {{ term: string, meaning: string, ticker: string|null }|null}
+ */
+export const parseSlangProposal = (content) => {
+  const match = String(content ?? '').match(SLANG_COMMAND);
+  if (!match) return null;
+  const term = match[1].replace(/[*_`]/g, '').trim();
+  const meaning = match[2].replace(/[*_`]/g, '').trim();
+  if (term.length < 2 || meaning.length < 2) return null;
+  return { term, meaning, ticker: match[3] ? match[3].toUpperCase() : null };
+};
@@ -1,8 +1,9 @@
 import { useEffect, useRef } from 'react';
-import { createChart, HistogramSeries } from 'lightweight-charts';
+import { createChart, HistogramSeries, createSeriesMarkers } from 'lightweight-charts';
 import PropTypes from 'prop-types';
+import { NO_ANOMALIES, buildAnomalyMarkers } from './lib/anomalies';
 
-export function ActiveUsersChart({ data }) {
+export function ActiveUsersChart({ data, anomalies = NO_ANOMALIES }) {
   const chartContainerRef = useRef();
   const chartRef = useRef();
 
@@ -90,6 +91,7 @@ export function ActiveUsersChart({ data }) {
     });
 
     activeUsersSeries.setData(activeUsersData);
+    createSeriesMarkers(activeUsersSeries, buildAnomalyMarkers(activeUsersData, data, anomalies, 'uniqueUsersLast24h'));
 
     if (activeUsersData.length > 0) {
       const latestTime = activeUsersData[activeUsersData.length - 1].time;
@@ -116,7 +118,7 @@ export function ActiveUsersChart({ data }) {
         chartRef.current = null;
       }
     };
-  }, [data]);
+  }, [data, anomalies]);
 
   return <div ref={chartContainerRef} className="w-full" />;
 }
@@ -127,4 +129,9 @@ ActiveUsersChart.propTypes = {
     activeUsers: PropTypes.number.isRequired,
     timestamp: PropTypes.string.isRequired,
   })).isRequired,
+  anomalies: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.shape({
+    metric: PropTypes.string.isRequired,
+    zScore: PropTypes.number.isRequired,
+    direction: PropTypes.string.isRequired,
+  }))),
 };
\ No newline at end of file
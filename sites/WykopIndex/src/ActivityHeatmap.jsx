@@ -0,0 +1,56 @@
+import PropTypes from 'prop-types';
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+// Cell opacity scales with the busiest hour of the whole range, so unusually active days stand out
+const getCellColor = (value, max) => {
+  if (!value || !max) return '#F7F7F8';
+  const intensity = 0.12 + 0.88 * (value / max);
+  return `rgba(253, 54, 110, ${intensity.toFixed(2)})`;
+};
+
+export function ActivityHeatmap({ data }) {
+  const max = Math.max(0, ...data.flatMap(row => row.entries.map((entries, hour) => entries + row.comments[hour])));
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="border-separate border-spacing-[2px] text-[10px] text-[#97979B]">
+        <thead>
+          <tr>
+            <th></th>
+            {HOURS.map(hour => (
+              <th key={hour} className="font-normal w-5 text-center">{hour % 3 === 0 ? hour : ''}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {data.map(row => (
+            <tr key={row.timestamp}>
+              <td className="pr-2 text-right whitespace-nowrap">{row.label}</td>
+              {HOURS.map(hour => {
+                const total = row.entries[hour] + row.comments[hour];
+                return (
+                  <td
+                    key={hour}
+                    className="w-5 h-4 rounded-sm"
+                    style={{ backgroundColor: getCellColor(total, max) }}
+                    title={`${String(hour).padStart(2, '0')}:00 (${row.label}) - wpisy: ${row.entries[hour]}, komentarze: ${row.comments[hour]}`}
+                  />
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+ActivityHeatmap.propTypes = {
+  data: PropTypes.arrayOf(PropTypes.shape({
+    label: PropTypes.string.isRequired,
+    timestamp: PropTypes.string.isRequired,
+    entries: PropTypes.arrayOf(PropTypes.number).isRequired,
+    comments: PropTypes.arrayOf(PropTypes.number).isRequired,
+  })).isRequired,
+};
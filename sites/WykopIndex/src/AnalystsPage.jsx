@@ -0,0 +1,128 @@
+import { useState, useEffect } from "react";
+import PropTypes from 'prop-types';
+import { tablesDB } from "./lib/appwrite";
+import { Query } from "appwrite";
+import { TagSwitcher } from './TagSwitcher';
+import { HORIZONS, buildAnalystStats } from './lib/analysts';
+import { BENCHMARKS } from './lib/prices';
+import { Spinner } from './Spinner';
+import { PillButton } from './PillButton';
+
+const DATABASE_ID = '69617178003ac8ef4fba';
+const ANALYST_CALLS_COLLECTION = 'analyst_calls';
+const PAGE_SIZE = 100;
+const MIN_CALLS_OPTIONS = [1, 3, 5];
+
+const formatReturn = (value) => `${value > 0 ? '+' : ''}${value.toFixed(2)}%`;
+
+export function AnalystsPage({ currentTag, onTagChange }) {
+  const [calls, setCalls] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [horizon, setHorizon] = useState('1w');
+  const [minCalls, setMinCalls] = useState(3);
+
+  useEffect(() => {
+    async function fetchCalls() {
+      setLoading(true);
+      try {
+        const rows = [];
+        let cursor = null;
+        while (true) {
+          const response = await tablesDB.listRows({
+            databaseId: DATABASE_ID,
+            tableId: ANALYST_CALLS_COLLECTION,
+            queries: [
+              Query.equal('tag', currentTag),
+              Query.select(['$id', 'username', 'label', 'benchmark', 'return1d', 'return1w', 'return1m', 'hit1d', 'hit1w', 'hit1m']),
+              Query.orderAsc('$createdAt'),
+              Query.limit(PAGE_SIZE),
+              ...(cursor ? [Query.cursorAfter(cursor)] : [])
+            ]
+          });
+          rows.push(...response.rows);
+          if (response.rows.length < PAGE_SIZE) break;
+          cursor = response.rows[response.rows.length - 1].$id;
+        }
+
+        setCalls(rows);
+      } catch (err) {
+        console.error('Error fetching analyst calls:', err);
+        setCalls([]);
+      } finally {
+        setLoading(false);
+      }
+    }
+    fetchCalls();
+  }, [currentTag]);
+
+  const stats = buildAnalystStats(calls, horizon, minCalls);
+  const benchmark = calls.length > 0 ? BENCHMARKS[calls[calls.length - 1].benchmark]?.name : null;
+
+  return (
+    <section className="mt-2 w-full max-w-4xl">
+      <TagSwitcher currentTag={currentTag} onChange={onTagChange} />
+
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        {Object.entries(HORIZONS).map(([id, { label }]) => (
+          <PillButton key={id} active={horizon === id} onClick={() => setHorizon(id)}>{label}</PillButton>
+        ))}
+        <span className="mx-1 text-[#EDEDF0]">|</span>
+        {MIN_CALLS_OPTIONS.map(option => (
+          <PillButton key={option} active={minCalls === option} onClick={() => setMinCalls(option)}>min. {option}</PillButton>
+        ))}
+      </div>
+
+      {loading ? (
+        <Spinner label="Ładowanie skuteczności..." />
+      ) : stats.length === 0 ? (
+        <div className="text-center p-8 border border-[#EDEDF0] rounded-md bg-white">
+          <p className="text-[#97979B]">Brak ocenionych typów dla tego horyzontu</p>
+        </div>
+      ) : (
+        <>
+          <div className="overflow-x-auto rounded-md border border-[#EDEDF0]">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="bg-gray-50 border-b border-[#EDEDF0]">
+                  <th className="text-right px-3 py-2 font-semibold text-[#97979B] w-12">#</th>
+                  <th className="text-left px-3 py-2 font-semibold text-[#97979B]">Użytkownik</th>
+                  <th className="text-right px-3 py-2 font-semibold text-[#97979B]">Trafność</th>
+                  <th className="text-right px-3 py-2 font-semibold text-[#97979B]">Trafione</th>
+                  <th className="text-right px-3 py-2 font-semibold text-[#97979B]">Śr. zwrot</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stats.map(user => (
+                  <tr key={user.username} className="border-b border-[#EDEDF0] last:border-0 hover:bg-gray-50 transition-colors">
+                    <td className="px-3 py-2 text-right text-[#97979B]">{user.rank}</td>
+                    <td className="px-3 py-2">
+                      <a
+                        href={`https://wykop.pl/ludzie/${user.username}`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="font-bold text-[#2D2D31] hover:text-[#FD366E]"
+                      >
+                        @{user.username}
+                      </a>
+                    </td>
+                    <td className="px-3 py-2 text-right font-semibold text-[#2D2D31]">{user.hitRate}%</td>
+                    <td className="px-3 py-2 text-right text-[#97979B]">{user.hits}/{user.calls}</td>
+                    <td className={`px-3 py-2 text-right ${user.avgReturn >= 0 ? 'text-[#4CBB17]' : 'text-[#ef4444]'}`}>{formatReturn(user.avgReturn)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="mt-3 text-xs text-[#97979B]">
+            Typy BULLISH/BEARISH z sekcji &quot;Topowi analitycy&quot; porównane z ruchem {benchmark || 'indeksu'} od zamknięcia przed odczytem. Średni zwrot liczony w kierunku typu. Typy neutralne nie są oceniane.
+          </p>
+        </>
+      )}
+    </section>
+  );
+}
+
+AnalystsPage.propTypes = {
+  currentTag: PropTypes.string.isRequired,
+  onTagChange: PropTypes.func.isRequired,
+};
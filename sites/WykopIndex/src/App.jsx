@@ -8,6 +8,21 @@ import { EntriesChart } from './EntriesChart';
 import { FollowersChart } from './FollowersChart';
 import { ActiveUsersChart } from './ActiveUsersChart';
 import { EarningsPage } from './EarningsPage';
+import { AssetsPage } from './AssetsPage';
+import { RankingPage } from './RankingPage';
+import { AnalystsPage } from './AnalystsPage';
+import { InfluencersPage } from './InfluencersPage';
+import { BacktestSection } from './BacktestSection';
+import { TagSwitcher } from './TagSwitcher';
+import { ReadingsList } from './ReadingsList';
+import { ActivityHeatmap } from './ActivityHeatmap';
+import { ShareButton } from './ShareButton';
+import { Spinner } from './Spinner';
+import { DEFAULT_TAG, getTagFromUrl, tagQuery } from './lib/tags';
+import { getCorpusDownloadUrl } from './lib/corpus';
+import { groupAnomaliesByDate } from './lib/anomalies';
+import { getSentimentColor } from './lib/sentiment';
+import { getReadingFromUrl } from './lib/share';
 
 // Constants
 const DATABASE_ID = '69617178003ac8ef4fba';
@@ -16,14 +31,6 @@ const REPLIES_COLLECTION_ID = 'replies';
 const BUCKET_ID = '6961715000182498a35a';
 
 // Helper functions
-const getSentimentColor = (sentiment) => {
-  if (sentiment <= 20) return '#b91c1c';
-  if (sentiment <= 40) return '#ef4444';
-  if (sentiment <= 60) return '#FFBF00';
-  if (sentiment <= 80) return '#4CBB17';
-  return '#008000';
-};
-
 const formatUTCDate = (date) => {
   return new Date(date).toLocaleDateString('pl-PL', {
     day: '2-digit',
@@ -32,7 +39,7 @@ const formatUTCDate = (date) => {
   });
 };
 
-const VALID_PAGES = ['home', 'charts', 'answers', 'earnings'];
+const VALID_PAGES = ['home', 'charts', 'assets', 'ranking', 'analysts', 'influencers', 'answers', 'earnings'];
 const getPageFromHash = () => {
   const hash = window.location.hash.replace('#', '');
   return VALID_PAGES.includes(hash) ? hash : 'home';
@@ -43,8 +50,9 @@ function App() {
   const [loadingSentiment, setLoadingSentiment] = useState(true);
   const [error, setError] = useState(null);
   const [imageUrl, setImageUrl] = useState(null);
-  const [chartData, setChartData] = useState({ sentiment: [], entries: [], followers: [], activeUsers: [] });
+  const [chartData, setChartData] = useState({ sentiment: [], entries: [], followers: [], activeUsers: [], activity: [], anomalies: {} });
   const [rawSentimentData, setRawSentimentData] = useState([]);
+  const [recentReadings, setRecentReadings] = useState([]);
   const [comparisons, setComparisons] = useState({
     yesterdaySentiment: null,
     yesterdayEntries: null,
@@ -54,6 +62,30 @@ function App() {
   const [replies, setReplies] = useState([]);
   const [loadingReplies, setLoadingReplies] = useState(true);
   const [currentPage, setCurrentPage] = useState(getPageFromHash);
+  const [currentTag, setCurrentTag] = useState(getTagFromUrl);
+  const [sharedReadingId, setSharedReadingId] = useState(getReadingFromUrl);
+  const [missingReadingId, setMissingReadingId] = useState(null);
+
+  const changeTag = (tag) => {
+    const url = new URL(window.location.href);
+    if (tag === DEFAULT_TAG) {
+      url.searchParams.delete('tag');
+    } else {
+      url.searchParams.set('tag', tag);
+    }
+    url.searchParams.delete('reading');
+    window.history.replaceState(null, '', url);
+    setSharedReadingId(null);
+    setMissingReadingId(null);
+    setCurrentTag(tag);
+  };
+
+  const showLatestReading = () => {
+    const url = new URL(window.location.href);
+    url.searchParams.delete('reading');
+    window.history.replaceState(null, '', url);
+    setSharedReadingId(null);
+  };
 
   useEffect(() => {
     const onHashChange = () => setCurrentPage(getPageFromHash());
@@ -66,15 +98,28 @@ function App() {
     async function fetchData() {
       setLoadingSentiment(true);
       try {
-        // Fetch the latest sentiment entry
+        // Fetch the shared reading, or the latest sentiment entry
         const response = await tablesDB.listRows({
           databaseId: DATABASE_ID,
           tableId: SENTIMENT_COLLECTION_ID,
-          queries: [
-            Query.orderDesc('$createdAt'),
-            Query.limit(1)
-          ]
+          queries: sharedReadingId
+            ? [Query.equal('$id', sharedReadingId), Query.limit(1)]
+            : [
+                tagQuery(currentTag),
+                Query.orderDesc('$createdAt'),
+                Query.limit(1)
+              ]
         });
+
+        // A shared link to a deleted or mistyped reading falls back to the latest one
+        if (sharedReadingId && response.rows.length === 0) {
+          const url = new URL(window.location.href);
+          url.searchParams.delete('reading');
+          window.history.replaceState(null, '', url);
+          setMissingReadingId(sharedReadingId);
+          setSharedReadingId(null);
+          return;
+        }
         
         // Parse JSON strings into objects
         const parsedDocuments = response.rows.map(doc => ({
@@ -83,7 +128,8 @@ function App() {
           mostDiscussed: doc.mostDiscussed?.startsWith('[') ? JSON.parse(doc.mostDiscussed) : [],
           mostEntriesLast24h: doc.mostEntriesLast24h?.startsWith('{') ? JSON.parse(doc.mostEntriesLast24h) : null,
           mostCommentsLast24h: doc.mostCommentsLast24h?.startsWith('{') ? JSON.parse(doc.mostCommentsLast24h) : null,
-          mostCombinedLast24h: doc.mostCombinedLast24h?.startsWith('{') ? JSON.parse(doc.mostCombinedLast24h) : null
+          mostCombinedLast24h: doc.mostCombinedLast24h?.startsWith('{') ? JSON.parse(doc.mostCombinedLast24h) : null,
+          labelDistribution: doc.labelDistribution?.startsWith('{') ? JSON.parse(doc.labelDistribution) : null
         }));
         
         setSentimentData(parsedDocuments);
@@ -98,7 +144,10 @@ function App() {
             databaseId: DATABASE_ID,
             tableId: SENTIMENT_COLLECTION_ID,
             queries: [
+              tagQuery(currentTag),
               Query.greaterThanEqual('$createdAt', ninetyDaysAgo.toISOString()),
+              // Skip the large per-item classifications column
+              Query.select(['$id', '$createdAt', 'sentiment', 'entriesLast24h', 'followers', 'uniqueUsersLast24h', 'corpusFileId', 'hourlyActivity', 'anomalies']),
               Query.orderAsc('$createdAt'),
               Query.limit(500)
             ]
@@ -113,6 +162,14 @@ function App() {
           
           // Store raw data for candlestick chart
           setRawSentimentData(chartData);
+
+          // Newest readings first, each with a link to its archived source data
+          setRecentReadings(historicalResponse.rows.slice(-20).reverse().map(doc => ({
+            id: doc.$id,
+            createdAt: doc.$createdAt,
+            sentiment: doc.sentiment,
+            corpusFileId: doc.corpusFileId ?? null
+          })));
           
           // Group by date and calculate averages
           const groupedByDate = chartData.reduce((acc, item) => {
@@ -133,8 +190,8 @@ function App() {
             timestamp: group.timestamp
           }));
 
-          // Extract yesterday's and week ago sentiment from averaged data
-          const nowUTC = new Date();
+          // Extract yesterday's and week ago sentiment from averaged data, relative to the shown reading
+          const nowUTC = response.rows.length > 0 ? new Date(response.rows[0].$createdAt) : new Date();
           const yesterdayUTC = new Date(nowUTC.getTime() - 24 * 60 * 60 * 1000);
           const yesterdayFormatted = formatUTCDate(yesterdayUTC);
           const yesterdayData = averagedData.find(item => item.date === yesterdayFormatted);
@@ -219,9 +276,40 @@ function App() {
           const activeUsersData = Object.values(activeUsersGroupedByDate).sort((a, b) =>
             new Date(a.timestamp) - new Date(b.timestamp)
           );
+
+          // Process hourly activity for the heatmap (each reading covers the 24h before it)
+          const activityChartData = historicalResponse.rows
+            .filter(doc => doc.hourlyActivity?.startsWith('{'))
+            .map(doc => ({
+              date: formatUTCDate(doc.$createdAt),
+              // A row is the 24h window of the reading, not a calendar day, so it is labelled with the reading time
+              label: `24h do ${new Date(doc.$createdAt).toLocaleString('pl-PL', {
+                day: '2-digit',
+                month: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                timeZone: 'Europe/Warsaw'
+              })}`,
+              ...JSON.parse(doc.hourlyActivity),
+              timestamp: doc.$createdAt
+            }));
+
+          // Group by date and take the latest entry for each date
+          const activityGroupedByDate = activityChartData.reduce((acc, item) => {
+            if (!acc[item.date] || new Date(item.timestamp) > new Date(acc[item.date].timestamp)) {
+              acc[item.date] = item;
+            }
+            return acc;
+          }, {});
+
+          const activityData = Object.values(activityGroupedByDate)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+            .slice(-30);
           
+          const anomaliesByDate = groupAnomaliesByDate(historicalResponse.rows, formatUTCDate);
+
           // Set all state in one operation
-          setChartData({ sentiment: averagedData, entries: entriesData, followers: followersData, activeUsers: activeUsersData });
+          setChartData({ sentiment: averagedData, entries: entriesData, followers: followersData, activeUsers: activeUsersData, activity: activityData, anomalies: anomaliesByDate });
           setComparisons({
             yesterdaySentiment: yesterdayData?.sentiment ?? null,
             yesterdayEntries: yesterdayEntries.length > 0 ? yesterdayEntries[yesterdayEntries.length - 1].entriesLast24h : null,
@@ -238,6 +326,8 @@ function App() {
           const fileId = response.rows[0].imageId || 'wykopindex_v2';
           const imageViewUrl = storage.getFileView(BUCKET_ID, fileId);
           setImageUrl(imageViewUrl);
+        } else {
+          setImageUrl(null);
         }
 
         setLoadingSentiment(false);
@@ -248,6 +338,10 @@ function App() {
       }
     }
     
+    fetchData();
+  }, [currentTag, sharedReadingId]);
+
+  useEffect(() => {
     async function fetchReplies() {
       setLoadingReplies(true);
       try {
@@ -267,7 +361,6 @@ function App() {
       }
     }
     
-    fetchData();
     fetchReplies();
   }, []);
 
@@ -279,6 +372,10 @@ function App() {
           {[
             { id: 'home', label: 'Strona główna' },
             { id: 'charts', label: 'Wykresy' },
+            { id: 'assets', label: 'Aktywa' },
+            { id: 'ranking', label: 'Ranking' },
+            { id: 'analysts', label: 'Skuteczność analityków' },
+            { id: 'influencers', label: 'Influencerzy' },
             { id: 'answers', label: 'Odpowiedzi' },
             { id: 'earnings', label: 'Wyniki kwartalne' },
           ].map(({ id, label }) => (
@@ -307,28 +404,22 @@ function App() {
       {/* Home Page */}
       {currentPage === 'home' && (
       <section className="mt-2 w-full max-w-4xl">
-        {loadingSentiment ? (
-          <div className="flex justify-center items-center p-8">
-            <div role="status">
-              <svg
-                aria-hidden="true"
-                className="h-8 w-8 animate-spin fill-[#FD366E] text-gray-200"
-                viewBox="0 0 100 101"
-                fill="none"
-                xmlns="http://www.w3.org/2000/svg"
-              >
-                <path
-                  d="M100 50.5908C100 78.2051 77.6142 100.591 50 100.591C22.3858 100.591 0 78.2051 0 50.5908C0 22.9766 22.3858 0.59082 50 0.59082C77.6142 0.59082 100 22.9766 100 50.5908ZM9.08144 50.5908C9.08144 73.1895 27.4013 91.5094 50 91.5094C72.5987 91.5094 90.9186 73.1895 90.9186 50.5908C90.9186 27.9921 72.5987 9.67226 50 9.67226C27.4013 9.67226 9.08144 27.9921 9.08144 50.5908Z"
-                  fill="currentColor"
-                />
-                <path
-                  d="M93.9676 39.0409C96.393 38.4038 97.8624 35.9116 97.0079 33.5539C95.2932 28.8227 92.871 24.3692 89.8167 20.348C85.8452 15.1192 80.8826 10.7238 75.2124 7.41289C69.5422 4.10194 63.2754 1.94025 56.7698 1.05124C51.7666 0.367541 46.6976 0.446843 41.7345 1.27873C39.2613 1.69328 37.813 4.19778 38.4501 6.62326C39.0873 9.04874 41.5694 10.4717 44.0505 10.1071C47.8511 9.54855 51.7191 9.52689 55.5402 10.0491C60.8642 10.7766 65.9928 12.5457 70.6331 15.2552C75.2735 17.9648 79.3347 21.5619 82.5849 25.841C84.9175 28.9121 86.7997 32.2913 88.1811 35.8758C89.083 38.2158 91.5421 39.6781 93.9676 39.0409Z"
-                  fill="currentFill"
-                />
-              </svg>
-              <span className="sr-only">Ładowanie danych o sentymencie...</span>
-            </div>
+        <TagSwitcher currentTag={currentTag} onChange={changeTag} />
+        {missingReadingId && (
+          <div className="mb-4 p-3 bg-gray-50 border border-[#EDEDF0] rounded-md text-sm text-[#56565C]">
+            Nie znaleziono udostępnionego odczytu, pokazujemy najnowszy.
+          </div>
+        )}
+        {sharedReadingId && (
+          <div className="mb-4 p-3 bg-gray-50 border border-[#EDEDF0] rounded-md text-sm text-[#56565C]">
+            Oglądasz udostępniony odczyt.{' '}
+            <button type="button" onClick={showLatestReading} className="text-[#FD366E] hover:underline">
+              Pokaż najnowszy
+            </button>
           </div>
+        )}
+        {loadingSentiment ? (
+          <Spinner label="Ładowanie danych o sentymencie..." />
         ) : sentimentData.length === 0 ? (
           <div className="text-center p-8 border border-[#EDEDF0] rounded-md bg-white">
             <p className="text-[#97979B]">Brak dostępnych danych o sentymencie</p>
@@ -373,6 +464,15 @@ function App() {
                       timeZone: 'Europe/Warsaw'
                     })}
                   </div>
+                  {item.corpusFileId && (
+                    <a
+                      href={getCorpusDownloadUrl(item.corpusFileId)}
+                      className="mt-1 text-xs text-[#FD366E] hover:underline"
+                    >
+                      Pobierz dane źródłowe
+                    </a>
+                  )}
+                  <ShareButton readingId={item.$id} className="mt-1 text-xs" />
                 </div>
                 
                 {/* Historical sentiment comparison */}
@@ -392,6 +492,32 @@ function App() {
                       <span className="text-[#97979B]">-</span>
                     )}
                   </div>
+                  {item.labelDistribution && (
+                    <div className="flex items-center gap-2">
+                      <span className="text-[#97979B]">Klasyfikacja wpisów:</span>
+                      <span className="font-medium text-[#4CBB17]">{item.labelDistribution.bullish} bullish</span>
+                      <span className="text-[#97979B]">/</span>
+                      <span className="font-medium text-[#ef4444]">{item.labelDistribution.bearish} bearish</span>
+                      <span className="text-[#97979B]">/</span>
+                      <span className="font-medium text-[#97979B]">{item.labelDistribution.neutral} neutralnych</span>
+                    </div>
+                  )}
+                  {item.lexiconSentiment != null && (
+                    <div className="flex items-center gap-2">
+                      <span className="text-[#97979B]">Wskaźnik słownikowy:</span>
+                      <span className="font-bold" style={{ color: "#97979B" }}>
+                        {item.lexiconSentiment}
+                      </span>
+                      {item.lexiconDivergent && (
+                        <span
+                          className="text-xs text-[#ef4444]"
+                          title="Wynik AI mocno odbiega od wyniku liczonego na podstawie słownika slangu"
+                        >
+                          ⚠️ duża rozbieżność z AI
+                        </span>
+                      )}
+                    </div>
+                  )}
                 </div>
                 
                 <div className="space-y-4 mt-6">
@@ -449,6 +575,13 @@ function App() {
                         <h3 className="text-lg font-bold text-[#808080] mb-1">
                           <a href="#tomekindicator" className="hover:underline">Tomkowe Kreski</a>
                         </h3>
+                        {item.tomekScore != null && (
+                          <p className="text-xs text-[#97979B] mb-1">
+                            TomekIndicator®: <span className="font-bold" style={{ color: getSentimentColor(item.tomekScore) }}>{item.tomekScore}</span>/100
+                            {item.tomekDirection && ` · ${item.tomekDirection}`}
+                            {' · '}<a href="#influencers" className="hover:underline">czy warto grać przeciw?</a>
+                          </p>
+                        )}
                         <p className="text-[#2D2D31] font-medium text-sm">
                           {text}
                           {tomek.videoUrl && (
@@ -568,17 +701,10 @@ function App() {
       {/* Charts Page */}
       {currentPage === 'charts' && (
         <section className="mt-2 w-full max-w-4xl">
+          <TagSwitcher currentTag={currentTag} onChange={changeTag} />
           {loadingSentiment ? (
-            <div className="flex justify-center items-center p-8">
-              <div role="status">
-                <svg aria-hidden="true" className="h-8 w-8 animate-spin fill-[#FD366E] text-gray-200" viewBox="0 0 100 101" fill="none" xmlns="http://www.w3.org/2000/svg">
-                  <path d="M100 50.5908C100 78.2051 77.6142 100.591 50 100.591C22.3858 100.591 0 78.2051 0 50.5908C0 22.9766 22.3858 0.59082 50 0.59082C77.6142 0.59082 100 22.9766 100 50.5908ZM9.08144 50.5908C9.08144 73.1895 27.4013 91.5094 50 91.5094C72.5987 91.5094 90.9186 73.1895 90.9186 50.5908C90.9186 27.9921 72.5987 9.67226 50 9.67226C27.4013 9.67226 9.08144 27.9921 9.08144 50.5908Z" fill="currentColor"/>
-                  <path d="M93.9676 39.0409C96.393 38.4038 97.8624 35.9116 97.0079 33.5539C95.2932 28.8227 92.871 24.3692 89.8167 20.348C85.8452 15.1192 80.8826 10.7238 75.2124 7.41289C69.5422 4.10194 63.2754 1.94025 56.7698 1.05124C51.7666 0.367541 46.6976 0.446843 41.7345 1.27873C39.2613 1.69328 37.813 4.19778 38.4501 6.62326C39.0873 9.04874 41.5694 10.4717 44.0505 10.1071C47.8511 9.54855 51.7191 9.52689 55.5402 10.0491C60.8642 10.7766 65.9928 12.5457 70.6331 15.2552C75.2735 17.9648 79.3347 21.5619 82.5849 25.841C84.9175 28.9121 86.7997 32.2913 88.1811 35.8758C89.083 38.2158 91.5421 39.6781 93.9676 39.0409Z" fill="currentFill"/>
-                </svg>
-                <span className="sr-only">Ładowanie wykresów...</span>
-              </div>
-            </div>
-          ) : (chartData.sentiment.length === 0 && chartData.entries.length === 0 && chartData.followers.length === 0 && chartData.activeUsers.length === 0) ? (
+            <Spinner label="Ładowanie wykresów..." />
+          ) : (chartData.sentiment.length === 0 && chartData.entries.length === 0 && chartData.followers.length === 0 && chartData.activeUsers.length === 0 && chartData.activity.length === 0) ? (
             <div className="text-center p-8 border border-[#EDEDF0] rounded-md bg-white">
               <p className="text-[#97979B]">Brak dostępnych danych do wyświetlenia</p>
             </div>
@@ -587,7 +713,7 @@ function App() {
               {chartData.sentiment.length > 0 && (
                 <div>
                   <h4 className="text-base font-semibold text-[#2D2D31] mb-2">Krach & Śmieciuch Index</h4>
-                  <SentimentLineChartWithLegend data={chartData.sentiment} />
+                  <SentimentLineChartWithLegend data={chartData.sentiment} anomalies={chartData.anomalies} />
                 </div>
               )}
               {/* {rawSentimentData.length > 0 && (
@@ -598,27 +724,54 @@ function App() {
               )} */}
               {chartData.entries.length > 0 && (
                 <div>
-                  <h4 className="text-base font-semibold text-[#2D2D31] mb-2">Liczba wpisów na tagu #gielda</h4>
-                  <EntriesChart data={chartData.entries} />
+                  <h4 className="text-base font-semibold text-[#2D2D31] mb-2">Liczba wpisów na tagu #{currentTag}</h4>
+                  <EntriesChart data={chartData.entries} anomalies={chartData.anomalies} />
                 </div>
               )}
               {chartData.activeUsers.length > 0 && (
                 <div>
-                  <h4 className="text-base font-semibold text-[#2D2D31] mb-2">Liczba aktywnych użytkowników na tagu #gielda</h4>
-                  <ActiveUsersChart data={chartData.activeUsers} />
+                  <h4 className="text-base font-semibold text-[#2D2D31] mb-2">Liczba aktywnych użytkowników na tagu #{currentTag}</h4>
+                  <ActiveUsersChart data={chartData.activeUsers} anomalies={chartData.anomalies} />
                 </div>
               )}
               {chartData.followers.length > 0 && (
                 <div>
-                  <h4 className="text-base font-semibold text-[#2D2D31] mb-2">Liczba obserwujących tag #gielda</h4>
+                  <h4 className="text-base font-semibold text-[#2D2D31] mb-2">Liczba obserwujących tag #{currentTag}</h4>
                   <FollowersChart data={chartData.followers} />
                 </div>
               )}
+              {chartData.activity.length > 0 && (
+                <div>
+                  <h4 className="text-base font-semibold text-[#2D2D31] mb-2">Aktywność na tagu #{currentTag} według godzin</h4>
+                  <ActivityHeatmap data={chartData.activity} />
+                  <p className="mt-1 text-xs text-[#97979B]">Każdy wiersz to wpisy i komentarze z 24h przed ostatnim odczytem danego dnia (godzina odczytu w etykiecie), godziny czasu polskiego</p>
+                </div>
+              )}
+              {chartData.sentiment.length > 0 && (
+                <div>
+                  <h4 className="text-base font-semibold text-[#2D2D31] mb-2">Backtest: indeks a zmiany na rynku</h4>
+                  <BacktestSection key={currentTag} currentTag={currentTag} />
+                </div>
+              )}
+              {recentReadings.length > 0 && (
+                <div>
+                  <h4 className="text-base font-semibold text-[#2D2D31] mb-2">Ostatnie odczyty #{currentTag}</h4>
+                  <ReadingsList readings={recentReadings} />
+                </div>
+              )}
             </div>
           )}
         </section>
       )}
 
+      {/* Assets Page */}
+      {currentPage === 'assets' && <AssetsPage currentTag={currentTag} onTagChange={changeTag} />}
+
+      {/* Ranking Page */}
+      {currentPage === 'ranking' && <RankingPage currentTag={currentTag} onTagChange={changeTag} />}
+      {currentPage === 'analysts' && <AnalystsPage currentTag={currentTag} onTagChange={changeTag} />}
+      {currentPage === 'influencers' && <InfluencersPage currentTag={currentTag} onTagChange={changeTag} />}
+
       {/* Earnings Page */}
       {currentPage === 'earnings' && <EarningsPage />}
 
@@ -626,15 +779,7 @@ function App() {
       {currentPage === 'answers' && (
         <section className="mt-2 w-full max-w-4xl">
           {loadingReplies ? (
-            <div className="flex justify-center items-center p-8">
-              <div role="status">
-                <svg aria-hidden="true" className="h-8 w-8 animate-spin fill-[#FD366E] text-gray-200" viewBox="0 0 100 101" fill="none" xmlns="http://www.w3.org/2000/svg">
-                  <path d="M100 50.5908C100 78.2051 77.6142 100.591 50 100.591C22.3858 100.591 0 78.2051 0 50.5908C0 22.9766 22.3858 0.59082 50 0.59082C77.6142 0.59082 100 22.9766 100 50.5908ZM9.08144 50.5908C9.08144 73.1895 27.4013 91.5094 50 91.5094C72.5987 91.5094 90.9186 73.1895 90.9186 50.5908C90.9186 27.9921 72.5987 9.67226 50 9.67226C27.4013 9.67226 9.08144 27.9921 9.08144 50.5908Z" fill="currentColor"/>
-                  <path d="M93.9676 39.0409C96.393 38.4038 97.8624 35.9116 97.0079 33.5539C95.2932 28.8227 92.871 24.3692 89.8167 20.348C85.8452 15.1192 80.8826 10.7238 75.2124 7.41289C69.5422 4.10194 63.2754 1.94025 56.7698 1.05124C51.7666 0.367541 46.6976 0.446843 41.7345 1.27873C39.2613 1.69328 37.813 4.19778 38.4501 6.62326C39.0873 9.04874 41.5694 10.4717 44.0505 10.1071C47.8511 9.54855 51.7191 9.52689 55.5402 10.0491C60.8642 10.7766 65.9928 12.5457 70.6331 15.2552C75.2735 17.9648 79.3347 21.5619 82.5849 25.841C84.9175 28.9121 86.7997 32.2913 88.1811 35.8758C89.083 38.2158 91.5421 39.6781 93.9676 39.0409Z" fill="currentFill"/>
-                </svg>
-                <span className="sr-only">Ładowanie odpowiedzi...</span>
-              </div>
-            </div>
+            <Spinner label="Ładowanie odpowiedzi..." />
           ) : replies.length === 0 ? (
             <div className="text-center p-8 border border-[#EDEDF0] rounded-md bg-white">
               <p className="text-[#97979B]">Brak dostępnych odpowiedzi</p>
@@ -0,0 +1,139 @@
+import { useEffect, useRef } from 'react';
+import { createChart, BaselineSeries, HistogramSeries } from 'lightweight-charts';
+import PropTypes from 'prop-types';
+
+export function AssetSentimentChart({ data }) {
+  const chartContainerRef = useRef();
+  const chartRef = useRef();
+
+  useEffect(() => {
+    if (!chartContainerRef.current || data.length === 0) return;
+
+    // Create chart
+    const chart = createChart(chartContainerRef.current, {
+      width: chartContainerRef.current.clientWidth,
+      height: 300,
+      layout: {
+        background: { color: '#ffffff' },
+        textColor: '#2D2D31',
+        fontSize: 12,
+      },
+      localization: {
+        timeFormatter: (time) => {
+          const date = new Date(time * 1000);
+          const day = date.getUTCDate();
+          const months = ['sty', 'lut', 'mar', 'kwi', 'maj', 'cze', 'lip', 'sie', 'wrz', 'paź', 'lis', 'gru'];
+          const month = months[date.getUTCMonth()];
+          const year = date.getUTCFullYear();
+          return `${day} ${month} ${year}`;
+        },
+      },
+      grid: {
+        vertLines: { color: '#EDEDF0' },
+        horzLines: { color: '#EDEDF0' },
+      },
+      timeScale: {
+        timeVisible: false,
+        borderColor: '#EDEDF0',
+        barSpacing: 12,
+        minBarSpacing: 4,
+        ticksVisible: true,
+        tickMarkMaxCharacterLength: 2,
+        tickMarkFormatter: (time) => {
+          const date = new Date(time * 1000);
+          const day = date.getUTCDate();
+          return `${day}`;
+        },
+      },
+      rightPriceScale: {
+        borderColor: '#EDEDF0',
+        scaleMargins: {
+          top: 0.08,
+          bottom: 0.08,
+        },
+        autoScale: false,
+      },
+      crosshair: {
+        mode: 1,
+        vertLine: {
+          color: '#97979B',
+          width: 1,
+          style: 3,
+          labelBackgroundColor: '#2D2D31',
+        },
+        horzLine: {
+          color: '#97979B',
+          width: 1,
+          style: 3,
+          labelBackgroundColor: '#2D2D31',
+        },
+      },
+    });
+
+    chartRef.current = chart;
+
+    // Mentions are drawn as an overlay histogram at the bottom of the pane
+    const mentionsSeries = chart.addSeries(HistogramSeries, {
+      color: 'rgba(111, 143, 175, 0.4)',
+      priceFormat: {
+        type: 'volume',
+      },
+      priceScaleId: '',
+      priceLineVisible: false,
+      lastValueVisible: false,
+    });
+    mentionsSeries.priceScale().applyOptions({
+      scaleMargins: {
+        top: 0.8,
+        bottom: 0,
+      },
+    });
+
+    const scoreSeries = chart.addSeries(BaselineSeries, {
+      baseValue: { type: 'price', price: 50 },
+      topLineColor: '#4CBB17',
+      topFillColor1: 'rgba(76, 187, 23, 0.28)',
+      topFillColor2: 'rgba(76, 187, 23, 0.05)',
+      bottomLineColor: '#ef4444',
+      bottomFillColor1: 'rgba(239, 68, 68, 0.05)',
+      bottomFillColor2: 'rgba(239, 68, 68, 0.28)',
+      lineWidth: 2,
+      priceLineVisible: false,
+    });
+
+    scoreSeries.setData(data.map(item => ({ time: item.time, value: item.score })));
+    mentionsSeries.setData(data.map(item => ({ time: item.time, value: item.mentions })));
+
+    chart.priceScale('right').setVisibleRange({ from: 0, to: 100 });
+    chart.timeScale().fitContent();
+
+    // Handle resize
+    const handleResize = () => {
+      if (chartContainerRef.current && chartRef.current) {
+        chartRef.current.applyOptions({
+          width: chartContainerRef.current.clientWidth,
+        });
+      }
+    };
+
+    window.addEventListener('resize', handleResize);
+
+    return () => {
+      window.removeEventListener('resize', handleResize);
+      if (chartRef.current) {
+        chartRef.current.remove();
+        chartRef.current = null;
+      }
+    };
+  }, [data]);
+
+  return <div ref={chartContainerRef} className="w-full" />;
+}
+
+AssetSentimentChart.propTypes = {
+  data: PropTypes.arrayOf(PropTypes.shape({
+    time: PropTypes.number.isRequired,
+    score: PropTypes.number.isRequired,
+    mentions: PropTypes.number.isRequired,
+  })).isRequired,
+};
@@ -0,0 +1,173 @@
+import { useState, useEffect } from "react";
+import PropTypes from 'prop-types';
+import { tablesDB } from "./lib/appwrite";
+import { Query } from "appwrite";
+import { AssetSentimentChart } from './AssetSentimentChart';
+import { TagSwitcher } from './TagSwitcher';
+import { Spinner } from './Spinner';
+import { getSentimentColor } from './lib/sentiment';
+
+const DATABASE_ID = '69617178003ac8ef4fba';
+const ASSETS_COLLECTION = 'assets';
+
+// Group asset readings by name (case-insensitive) and by UTC day.
+// Daily score is the mention-weighted average of that day's readings.
+const aggregateAssets = (rows) => {
+  const byAsset = {};
+  for (const row of rows) {
+    const key = row.asset.toLowerCase();
+    if (!byAsset[key]) {
+      byAsset[key] = { key, asset: row.asset, mentions: 0, readings: 0, latestScore: null, days: {} };
+    }
+    const group = byAsset[key];
+    group.asset = row.asset;
+    group.mentions += row.mentions;
+    group.readings += 1;
+    group.latestScore = row.score;
+
+    const createdAt = new Date(row.$createdAt);
+    const time = Date.UTC(createdAt.getUTCFullYear(), createdAt.getUTCMonth(), createdAt.getUTCDate()) / 1000;
+    if (!group.days[time]) {
+      group.days[time] = { time, weightedScore: 0, mentions: 0 };
+    }
+    group.days[time].weightedScore += row.score * row.mentions;
+    group.days[time].mentions += row.mentions;
+  }
+
+  return Object.values(byAsset)
+    .map(group => ({
+      ...group,
+      history: Object.values(group.days)
+        .sort((a, b) => a.time - b.time)
+        .map(day => ({ time: day.time, score: Math.round(day.weightedScore / day.mentions), mentions: day.mentions })),
+    }))
+    .sort((a, b) => b.mentions - a.mentions);
+};
+
+export function AssetsPage({ currentTag, onTagChange }) {
+  const [assets, setAssets] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [selectedKey, setSelectedKey] = useState(null);
+
+  useEffect(() => {
+    async function fetchAssets() {
+      setLoading(true);
+      try {
+        const ninetyDaysAgo = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000);
+        ninetyDaysAgo.setUTCHours(0, 0, 0, 0);
+
+        const response = await tablesDB.listRows({
+          databaseId: DATABASE_ID,
+          tableId: ASSETS_COLLECTION,
+          queries: [
+            Query.equal('tag', currentTag),
+            Query.greaterThanEqual('$createdAt', ninetyDaysAgo.toISOString()),
+            Query.orderAsc('$createdAt'),
+            Query.limit(5000)
+          ]
+        });
+
+        setAssets(aggregateAssets(response.rows));
+      } catch (err) {
+        console.error('Error fetching assets:', err);
+        setAssets([]);
+      } finally {
+        setLoading(false);
+      }
+    }
+    fetchAssets();
+  }, [currentTag]);
+
+  const query = search.trim().toLowerCase();
+  const filtered = query ? assets.filter(a => a.key.includes(query)) : assets;
+  const selected = assets.find(a => a.key === selectedKey) ?? null;
+
+  return (
+    <section className="mt-2 w-full max-w-4xl">
+      <TagSwitcher currentTag={currentTag} onChange={(tag) => { setSelectedKey(null); onTagChange(tag); }} />
+
+      {loading ? (
+        <Spinner label="Ładowanie aktywów..." />
+      ) : selected ? (
+        <div>
+          <button
+            onClick={() => setSelectedKey(null)}
+            className="mb-3 px-2 py-1 text-xs rounded border border-[#EDEDF0] text-[#2D2D31] hover:border-[#FD366E] hover:text-[#FD366E] transition-colors"
+          >
+            ‹ Wszystkie aktywa
+          </button>
+          <div className="flex items-baseline gap-3 mb-2">
+            <h4 className="text-base font-semibold text-[#2D2D31]">Sentyment #{currentTag} wobec {selected.asset}</h4>
+            <span className="font-bold" style={{ color: getSentimentColor(selected.latestScore) }}>{selected.latestScore}</span>
+          </div>
+          <AssetSentimentChart data={selected.history} />
+          <div className="flex items-center justify-center gap-4 mt-2 text-sm">
+            <div className="flex items-center gap-2">
+              <div className="w-4 h-0.5 bg-[#4CBB17]"></div>
+              <span className="text-[#2D2D31]">Sentyment (1-100)</span>
+            </div>
+            <div className="flex items-center gap-2">
+              <div className="w-3 h-3 bg-[#6F8FAF] opacity-40"></div>
+              <span className="text-[#2D2D31]">Wzmianki</span>
+            </div>
+          </div>
+          <p className="mt-3 text-xs text-[#97979B]">
+            {selected.mentions} wzmianek w {selected.readings} odczytach · ostatnie 90 dni
+          </p>
+        </div>
+      ) : (
+        <>
+          <div className="mb-4">
+            <input
+              type="text"
+              value={search}
+              onChange={e => setSearch(e.target.value)}
+              placeholder="Szukaj aktywa..."
+              className="w-full px-4 py-2 border border-[#EDEDF0] rounded-md text-sm text-[#2D2D31] placeholder-[#97979B] focus:outline-none focus:border-[#FD366E]"
+            />
+          </div>
+          {filtered.length === 0 ? (
+            <div className="text-center p-8 border border-[#EDEDF0] rounded-md bg-white">
+              <p className="text-[#97979B]">{search ? 'Brak wyników dla podanej frazy' : 'Brak danych o aktywach'}</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto rounded-md border border-[#EDEDF0]">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="bg-gray-50 border-b border-[#EDEDF0]">
+                    <th className="text-left px-3 py-2 font-semibold text-[#97979B]">Aktywo</th>
+                    <th className="text-right px-3 py-2 font-semibold text-[#97979B] whitespace-nowrap">Wzmianki</th>
+                    <th className="text-right px-3 py-2 font-semibold text-[#97979B] whitespace-nowrap">Odczyty</th>
+                    <th className="text-right px-3 py-2 font-semibold text-[#97979B] whitespace-nowrap">Ostatni sentyment</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {filtered.map(asset => (
+                    <tr
+                      key={asset.key}
+                      onClick={() => setSelectedKey(asset.key)}
+                      className="border-b border-[#EDEDF0] last:border-0 hover:bg-gray-50 transition-colors cursor-pointer"
+                    >
+                      <td className="px-3 py-2 font-bold text-[#2D2D31]">{asset.asset}</td>
+                      <td className="px-3 py-2 text-right text-[#2D2D31]">{asset.mentions}</td>
+                      <td className="px-3 py-2 text-right text-[#97979B]">{asset.readings}</td>
+                      <td className="px-3 py-2 text-right font-semibold" style={{ color: getSentimentColor(asset.latestScore) }}>
+                        {asset.latestScore}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
+
+AssetsPage.propTypes = {
+  currentTag: PropTypes.string.isRequired,
+  onTagChange: PropTypes.func.isRequired,
+};
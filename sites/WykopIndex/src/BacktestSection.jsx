@@ -0,0 +1,148 @@
+import { useState, useEffect, useMemo } from "react";
+import PropTypes from 'prop-types';
+import { tablesDB } from "./lib/appwrite";
+import { Query } from "appwrite";
+import { tagQuery, TAG_BENCHMARKS } from './lib/tags';
+import { BENCHMARKS, fetchDailyCloses } from './lib/prices';
+import { BACKTEST_HORIZONS, joinForwardReturns, runBacktest } from './lib/backtest';
+import { PillButton } from './PillButton';
+
+const DATABASE_ID = '69617178003ac8ef4fba';
+const SENTIMENT_COLLECTION_ID = 'sentiment';
+const PAGE_SIZE = 500;
+
+const formatReturn = (value) => value === null ? '-' : `${value > 0 ? '+' : ''}${value.toFixed(2)}%`;
+
+const describeCorrelation = (value) => {
+  if (value === null) return 'za mało danych';
+  if (value <= -0.1) return 'sygnał kontrariański';
+  if (value >= 0.1) return 'sygnał zgodny z rynkiem';
+  return 'brak wyraźnej zależności';
+};
+
+export function BacktestSection({ currentTag }) {
+  const [benchmark, setBenchmark] = useState(TAG_BENCHMARKS[currentTag] || 'wig20');
+  const [readings, setReadings] = useState([]);
+  const [closes, setCloses] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    async function fetchReadings() {
+      try {
+        // The whole history, not just the 90 days shown on the charts
+        const rows = [];
+        let cursor = null;
+        while (true) {
+          const response = await tablesDB.listRows({
+            databaseId: DATABASE_ID,
+            tableId: SENTIMENT_COLLECTION_ID,
+            queries: [
+              tagQuery(currentTag),
+              Query.select(['$id', '$createdAt', 'sentiment']),
+              Query.orderAsc('$createdAt'),
+              Query.limit(PAGE_SIZE),
+              ...(cursor ? [Query.cursorAfter(cursor)] : [])
+            ]
+          });
+          rows.push(...response.rows);
+          if (response.rows.length < PAGE_SIZE) break;
+          cursor = response.rows[response.rows.length - 1].$id;
+        }
+        setReadings(rows);
+      } catch (err) {
+        console.error('Error fetching sentiment history for backtest:', err);
+        setReadings([]);
+      }
+    }
+    fetchReadings();
+  }, [currentTag]);
+
+  useEffect(() => {
+    async function fetchCloses() {
+      setLoading(true);
+      try {
+        setCloses(await fetchDailyCloses(benchmark));
+      } catch (err) {
+        console.error('Error fetching prices:', err);
+        setCloses([]);
+      } finally {
+        setLoading(false);
+      }
+    }
+    fetchCloses();
+  }, [benchmark]);
+
+  // The whole history is joined with every close, so it is only recomputed when the data changes
+  const samples = useMemo(() => joinForwardReturns(readings, closes, benchmark), [readings, closes, benchmark]);
+  const { buckets, correlations } = useMemo(() => runBacktest(samples), [samples]);
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        {Object.entries(BENCHMARKS).map(([id, { name }]) => (
+          <PillButton key={id} active={benchmark === id} onClick={() => setBenchmark(id)}>{name}</PillButton>
+        ))}
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-[#97979B]">Ładowanie notowań...</p>
+      ) : samples.length === 0 ? (
+        <p className="text-sm text-[#97979B]">Brak notowań {BENCHMARKS[benchmark].name} pokrywających historię indeksu</p>
+      ) : (
+        <>
+          <div className="overflow-x-auto rounded-md border border-[#EDEDF0]">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="bg-gray-50 border-b border-[#EDEDF0]">
+                  <th className="text-left px-3 py-2 font-semibold text-[#97979B]">Indeks</th>
+                  <th className="text-right px-3 py-2 font-semibold text-[#97979B]">Dni</th>
+                  {BACKTEST_HORIZONS.map(({ id, label }) => (
+                    <th key={id} className="text-right px-3 py-2 font-semibold text-[#97979B]">{label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {buckets.map(bucket => (
+                  <tr key={bucket.label} className="border-b border-[#EDEDF0] last:border-0">
+                    <td className="px-3 py-2 font-semibold text-[#2D2D31]">{bucket.label}</td>
+                    <td className="px-3 py-2 text-right text-[#97979B]">{bucket.count}</td>
+                    {BACKTEST_HORIZONS.map(({ id }) => {
+                      const { avgReturn, upShare } = bucket.horizons[id];
+                      return (
+                        <td key={id} className="px-3 py-2 text-right">
+                          <span className={avgReturn === null ? 'text-[#97979B]' : avgReturn >= 0 ? 'text-[#4CBB17]' : 'text-[#ef4444]'}>
+                            {formatReturn(avgReturn)}
+                          </span>
+                          {upShare !== null && (
+                            <span className="block text-xs text-[#97979B]">wzrosty: {Math.round(upShare)}%</span>
+                          )}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <ul className="mt-3 space-y-1 text-sm text-[#2D2D31]">
+            {BACKTEST_HORIZONS.map(({ id, label }) => (
+              <li key={id}>
+                Korelacja, horyzont {label}:{' '}
+                <span className="font-semibold">{correlations[id].value === null ? '-' : correlations[id].value.toFixed(2)}</span>
+                <span className="text-[#97979B]"> ({describeCorrelation(correlations[id].value)}, n = {correlations[id].count})</span>
+              </li>
+            ))}
+          </ul>
+          <p className="mt-2 text-xs text-[#97979B]">
+            Średnia zmiana {BENCHMARKS[benchmark].name} od ostatniego zamknięcia przed odczytem (ostatni odczyt dnia). Ujemna korelacja oznacza, że wysoki indeks poprzedzał spadki, a niski wzrosty.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
+
+BacktestSection.propTypes = {
+  currentTag: PropTypes.string.isRequired,
+};
@@ -1,8 +1,9 @@
 import { useEffect, useRef } from 'react';
-import { createChart, HistogramSeries } from 'lightweight-charts';
+import { createChart, HistogramSeries, createSeriesMarkers } from 'lightweight-charts';
 import PropTypes from 'prop-types';
+import { NO_ANOMALIES, buildAnomalyMarkers } from './lib/anomalies';
 
-export function EntriesChart({ data }) {
+export function EntriesChart({ data, anomalies = NO_ANOMALIES }) {
   const chartContainerRef = useRef();
   const chartRef = useRef();
 
@@ -94,6 +95,7 @@ export function EntriesChart({ data }) {
     });
 
     entriesSeries.setData(entriesData);
+    createSeriesMarkers(entriesSeries, buildAnomalyMarkers(entriesData, data, anomalies, 'entriesLast24h'));
 
     // Show last 30 days
     if (entriesData.length > 0) {
@@ -122,7 +124,7 @@ export function EntriesChart({ data }) {
         chartRef.current = null;
       }
     };
-  }, [data]);
+  }, [data, anomalies]);
 
   return <div ref={chartContainerRef} className="w-full" />;
 }
@@ -133,4 +135,9 @@ EntriesChart.propTypes = {
     entries: PropTypes.number.isRequired,
     timestamp: PropTypes.string.isRequired,
   })).isRequired,
+  anomalies: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.shape({
+    metric: PropTypes.string.isRequired,
+    zScore: PropTypes.number.isRequired,
+    direction: PropTypes.string.isRequired,
+  }))),
 };
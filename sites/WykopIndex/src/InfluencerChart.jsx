@@ -0,0 +1,134 @@
+import { useEffect, useRef } from 'react';
+import { createChart, LineSeries } from 'lightweight-charts';
+import PropTypes from 'prop-types';
+
+const INDEX_COLOR = '#97979B';
+
+export function InfluencerChart({ index, influencers }) {
+  const chartContainerRef = useRef();
+  const chartRef = useRef();
+
+  useEffect(() => {
+    if (!chartContainerRef.current || (index.length === 0 && influencers.length === 0)) return;
+
+    // Create chart
+    const chart = createChart(chartContainerRef.current, {
+      width: chartContainerRef.current.clientWidth,
+      height: 300,
+      layout: {
+        background: { color: '#ffffff' },
+        textColor: '#2D2D31',
+        fontSize: 12,
+      },
+      localization: {
+        timeFormatter: (time) => {
+          const date = new Date(time * 1000);
+          const day = date.getUTCDate();
+          const months = ['sty', 'lut', 'mar', 'kwi', 'maj', 'cze', 'lip', 'sie', 'wrz', 'paź', 'lis', 'gru'];
+          const month = months[date.getUTCMonth()];
+          const year = date.getUTCFullYear();
+          return `${day} ${month} ${year}`;
+        },
+      },
+      grid: {
+        vertLines: { color: '#EDEDF0' },
+        horzLines: { color: '#EDEDF0' },
+      },
+      timeScale: {
+        timeVisible: false,
+        borderColor: '#EDEDF0',
+        barSpacing: 12,
+        minBarSpacing: 4,
+        ticksVisible: true,
+        tickMarkMaxCharacterLength: 2,
+        tickMarkFormatter: (time) => {
+          const date = new Date(time * 1000);
+          const day = date.getUTCDate();
+          return `${day}`;
+        },
+      },
+      rightPriceScale: {
+        borderColor: '#EDEDF0',
+        scaleMargins: {
+          top: 0.08,
+          bottom: 0.08,
+        },
+        autoScale: false,
+      },
+      crosshair: {
+        mode: 1,
+        vertLine: {
+          color: '#97979B',
+          width: 1,
+          style: 3,
+          labelBackgroundColor: '#2D2D31',
+        },
+        horzLine: {
+          color: '#97979B',
+          width: 1,
+          style: 3,
+          labelBackgroundColor: '#2D2D31',
+        },
+      },
+    });
+
+    chartRef.current = chart;
+
+    // The index is the reference line; videos are sparse, so each channel is drawn with point markers
+    const indexSeries = chart.addSeries(LineSeries, {
+      color: INDEX_COLOR,
+      lineWidth: 2,
+      lineStyle: 2,
+      priceLineVisible: false,
+    });
+    indexSeries.setData(index);
+
+    for (const influencer of influencers) {
+      const series = chart.addSeries(LineSeries, {
+        color: influencer.color,
+        lineWidth: 2,
+        pointMarkersVisible: true,
+        priceLineVisible: false,
+      });
+      series.setData(influencer.history);
+    }
+
+    chart.priceScale('right').setVisibleRange({ from: 0, to: 100 });
+    chart.timeScale().fitContent();
+
+    // Handle resize
+    const handleResize = () => {
+      if (chartContainerRef.current && chartRef.current) {
+        chartRef.current.applyOptions({
+          width: chartContainerRef.current.clientWidth,
+        });
+      }
+    };
+
+    window.addEventListener('resize', handleResize);
+
+    return () => {
+      window.removeEventListener('resize', handleResize);
+      if (chartRef.current) {
+        chartRef.current.remove();
+        chartRef.current = null;
+      }
+    };
+  }, [index, influencers]);
+
+  return <div ref={chartContainerRef} className="w-full" />;
+}
+
+InfluencerChart.propTypes = {
+  index: PropTypes.arrayOf(PropTypes.shape({
+    time: PropTypes.number.isRequired,
+    value: PropTypes.number.isRequired,
+  })).isRequired,
+  influencers: PropTypes.arrayOf(PropTypes.shape({
+    color: PropTypes.string.isRequired,
+    history: PropTypes.arrayOf(PropTypes.shape({
+      time: PropTypes.number.isRequired,
+      value: PropTypes.number.isRequired,
+    })).isRequired,
+  })).isRequired,
+};
@@ -0,0 +1,228 @@
+import { useState, useEffect } from "react";
+import PropTypes from 'prop-types';
+import { tablesDB } from "./lib/appwrite";
+import { Query } from "appwrite";
+import { InfluencerChart } from './InfluencerChart';
+import { TagSwitcher } from './TagSwitcher';
+import { tagQuery } from './lib/tags';
+import { HORIZONS } from './lib/analysts';
+import { buildDailyIndex, buildInfluencerStats, buildFadeStats, parseTickers } from './lib/influencers';
+import { Spinner } from './Spinner';
+import { PillButton } from './PillButton';
+import { getSentimentColor } from './lib/sentiment';
+
+const DATABASE_ID = '69617178003ac8ef4fba';
+const SENTIMENT_COLLECTION = 'sentiment';
+const INFLUENCERS_COLLECTION = 'influencers';
+const HISTORY_DAYS = 90;
+const RECENT_VIDEOS = 10;
+
+const formatReturn = (value) => `${value > 0 ? '+' : ''}${value.toFixed(2)}%`;
+
+const formatGap = (value) => value === null ? '-' : `${value > 0 ? '+' : ''}${value}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('pl-PL', {
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric',
+  timeZone: 'Europe/Warsaw'
+});
+
+export function InfluencersPage({ currentTag, onTagChange }) {
+  const [index, setIndex] = useState([]);
+  const [influencers, setInfluencers] = useState([]);
+  const [videoRows, setVideoRows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [horizon, setHorizon] = useState('1w');
+
+  useEffect(() => {
+    async function fetchInfluencers() {
+      setLoading(true);
+      try {
+        const since = new Date(Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+        since.setUTCHours(0, 0, 0, 0);
+
+        const [readings, videos] = await Promise.all([
+          tablesDB.listRows({
+            databaseId: DATABASE_ID,
+            tableId: SENTIMENT_COLLECTION,
+            queries: [
+              tagQuery(currentTag),
+              Query.greaterThanEqual('$createdAt', since.toISOString()),
+              Query.select(['$createdAt', 'sentiment']),
+              Query.orderAsc('$createdAt'),
+              Query.limit(5000)
+            ]
+          }),
+          tablesDB.listRows({
+            databaseId: DATABASE_ID,
+            tableId: INFLUENCERS_COLLECTION,
+            queries: [
+              Query.equal('tag', currentTag),
+              Query.greaterThanEqual('$createdAt', since.toISOString()),
+              Query.orderAsc('$createdAt'),
+              Query.limit(5000)
+            ]
+          }),
+        ]);
+
+        const dailyIndex = buildDailyIndex(readings.rows);
+        setIndex(dailyIndex);
+        setInfluencers(buildInfluencerStats(videos.rows, dailyIndex));
+        setVideoRows(videos.rows);
+      } catch (err) {
+        console.error('Error fetching influencers:', err);
+        setIndex([]);
+        setInfluencers([]);
+        setVideoRows([]);
+      } finally {
+        setLoading(false);
+      }
+    }
+    fetchInfluencers();
+  }, [currentTag]);
+
+  const recentVideos = influencers
+    .flatMap(influencer => influencer.videos.map(video => ({ ...video, color: influencer.color })))
+    .sort((a, b) => (b.publishedAt ?? b.$createdAt).localeCompare(a.publishedAt ?? a.$createdAt))
+    .slice(0, RECENT_VIDEOS);
+  const fadeStats = buildFadeStats(videoRows, horizon);
+
+  return (
+    <section className="mt-2 w-full max-w-4xl">
+      <TagSwitcher currentTag={currentTag} onChange={onTagChange} />
+
+      {loading ? (
+        <Spinner label="Ładowanie influencerów..." />
+      ) : influencers.length === 0 ? (
+        <div className="text-center p-8 border border-[#EDEDF0] rounded-md bg-white">
+          <p className="text-[#97979B]">Brak przeanalizowanych filmów dla tego tagu</p>
+        </div>
+      ) : (
+        <>
+          <h4 className="text-base font-semibold text-[#2D2D31] mb-2">Nastawienie influencerów a indeks #{currentTag}</h4>
+          <InfluencerChart index={index} influencers={influencers} />
+          <div className="flex flex-wrap items-center justify-center gap-4 mt-2 text-sm">
+            <div className="flex items-center gap-2">
+              <div className="w-4 h-0.5 bg-[#97979B]"></div>
+              <span className="text-[#2D2D31]">Indeks #{currentTag}</span>
+            </div>
+            {influencers.map(influencer => (
+              <div key={influencer.influencer} className="flex items-center gap-2">
+                <div className="w-4 h-0.5" style={{ backgroundColor: influencer.color }}></div>
+                <span className="text-[#2D2D31]">{influencer.name}</span>
+              </div>
+            ))}
+          </div>
+
+          <div className="mt-6 overflow-x-auto rounded-md border border-[#EDEDF0]">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="bg-gray-50 border-b border-[#EDEDF0]">
+                  <th className="text-left px-3 py-2 font-semibold text-[#97979B]">Kanał</th>
+                  <th className="text-right px-3 py-2 font-semibold text-[#97979B] whitespace-nowrap">Filmy</th>
+                  <th className="text-right px-3 py-2 font-semibold text-[#97979B] whitespace-nowrap">Śr. nastawienie</th>
+                  <th className="text-right px-3 py-2 font-semibold text-[#97979B] whitespace-nowrap">Różnica z indeksem</th>
+                  <th className="text-right px-3 py-2 font-semibold text-[#97979B] whitespace-nowrap">Korelacja</th>
+                </tr>
+              </thead>
+              <tbody>
+                {influencers.map(influencer => (
+                  <tr key={influencer.influencer} className="border-b border-[#EDEDF0] last:border-0 hover:bg-gray-50 transition-colors">
+                    <td className="px-3 py-2 font-bold" style={{ color: influencer.color }}>{influencer.name}</td>
+                    <td className="px-3 py-2 text-right text-[#97979B]">{influencer.videos.length}</td>
+                    <td className="px-3 py-2 text-right font-semibold" style={{ color: getSentimentColor(influencer.avgScore) }}>{influencer.avgScore}</td>
+                    <td className="px-3 py-2 text-right text-[#2D2D31]">{formatGap(influencer.avgGap)}</td>
+                    <td className="px-3 py-2 text-right text-[#2D2D31]">{influencer.correlation === null ? '-' : influencer.correlation.toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="mt-3 text-xs text-[#97979B]">
+            Nastawienie autora filmu (1 = ekstremalnie bearish, 100 = ekstremalnie bullish) ocenione przez AI, porównane ze średnim indeksem z dnia publikacji · ostatnie {HISTORY_DAYS} dni
+          </p>
+
+          <h4 className="text-base font-semibold text-[#2D2D31] mt-6 mb-2">Granie przeciw influencerom</h4>
+          <div className="flex flex-wrap items-center gap-2 mb-2">
+            {Object.entries(HORIZONS).map(([id, { label }]) => (
+              <PillButton key={id} active={horizon === id} onClick={() => setHorizon(id)}>{label}</PillButton>
+            ))}
+          </div>
+          {fadeStats.length === 0 ? (
+            <div className="text-center p-8 border border-[#EDEDF0] rounded-md bg-white">
+              <p className="text-[#97979B]">Brak ocenionych prognoz dla tego horyzontu</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto rounded-md border border-[#EDEDF0]">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="bg-gray-50 border-b border-[#EDEDF0]">
+                    <th className="text-left px-3 py-2 font-semibold text-[#97979B]">Kanał</th>
+                    <th className="text-right px-3 py-2 font-semibold text-[#97979B] whitespace-nowrap">Trafione</th>
+                    <th className="text-right px-3 py-2 font-semibold text-[#97979B] whitespace-nowrap">Trafność</th>
+                    <th className="text-right px-3 py-2 font-semibold text-[#97979B] whitespace-nowrap">Trafność odwrotności</th>
+                    <th className="text-right px-3 py-2 font-semibold text-[#97979B] whitespace-nowrap">Śr. zwrot odwrotności</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {fadeStats.map(stat => (
+                    <tr key={stat.username} className="border-b border-[#EDEDF0] last:border-0 hover:bg-gray-50 transition-colors">
+                      <td className="px-3 py-2 font-bold text-[#2D2D31]">{stat.username}</td>
+                      <td className="px-3 py-2 text-right text-[#97979B]">{stat.hits}/{stat.calls}</td>
+                      <td className="px-3 py-2 text-right text-[#2D2D31]">{stat.hitRate}%</td>
+                      <td className="px-3 py-2 text-right font-semibold text-[#2D2D31]">{stat.fadeHitRate}%</td>
+                      <td className={`px-3 py-2 text-right ${stat.fadeReturn >= 0 ? 'text-[#4CBB17]' : 'text-[#ef4444]'}`}>{formatReturn(stat.fadeReturn)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          <p className="mt-3 text-xs text-[#97979B]">
+            Przewidywany kierunek rynku (BULLISH/BEARISH) porównany z ruchem indeksu referencyjnego tagu od ostatniego zamknięcia przed publikacją filmu. Odwrotność to zagranie przeciw prognozie - trafność powyżej 50% oznacza, że kontrarianizm działa. Filmy bez prognozy nie są oceniane.
+          </p>
+
+          <h4 className="text-base font-semibold text-[#2D2D31] mt-6 mb-2">Najnowsze filmy</h4>
+          <div className="space-y-3">
+            {recentVideos.map(video => (
+              <div key={video.$id} className="p-3 border border-[#EDEDF0] rounded-md bg-white">
+                <div className="flex items-baseline justify-between gap-3">
+                  <div className="min-w-0">
+                    <span className="font-bold mr-2" style={{ color: video.color }}>{video.name}</span>
+                    <a
+                      href={video.videoUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-[#2D2D31] hover:text-[#FD366E] hover:underline"
+                    >
+                      {video.videoTitle ?? 'film'}
+                    </a>
+                  </div>
+                  <span className="shrink-0">
+                    {video.direction && <span className="text-xs text-[#97979B] mr-2">{video.direction}</span>}
+                    <span className="font-bold" style={{ color: getSentimentColor(video.score) }}>{video.score}</span>
+                  </span>
+                </div>
+                <p className="text-xs text-[#97979B] mt-1">{formatDate(video.publishedAt ?? video.$createdAt)}</p>
+                {parseTickers(video.tickers).length > 0 && (
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {parseTickers(video.tickers).map(ticker => (
+                      <span key={ticker} className="px-2 py-0.5 text-xs rounded-full border border-[#EDEDF0] text-[#56565C]">{ticker}</span>
+                    ))}
+                  </div>
+                )}
+                {video.roast && <p className="text-sm text-[#56565C] mt-2">{video.roast}</p>}
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
+
+InfluencersPage.propTypes = {
+  currentTag: PropTypes.string.isRequired,
+  onTagChange: PropTypes.func.isRequired,
+};
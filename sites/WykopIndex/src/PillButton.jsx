@@ -0,0 +1,22 @@
+import PropTypes from 'prop-types';
+
+export function PillButton({ active, onClick, children }) {
+  return (
+    <button
+      onClick={onClick}
+      className={`px-3 py-1 text-xs rounded-full border transition-colors ${
+        active
+          ? 'border-[#FD366E] text-[#FD366E] font-semibold'
+          : 'border-[#EDEDF0] text-[#97979B] hover:border-[#FD366E] hover:text-[#FD366E]'
+      }`}
+    >
+      {children}
+    </button>
+  );
+}
+
+PillButton.propTypes = {
+  active: PropTypes.bool.isRequired,
+  onClick: PropTypes.func.isRequired,
+  children: PropTypes.node.isRequired,
+};
@@ -0,0 +1,145 @@
+import { useState, useEffect } from "react";
+import PropTypes from 'prop-types';
+import { tablesDB } from "./lib/appwrite";
+import { Query } from "appwrite";
+import { TagSwitcher } from './TagSwitcher';
+import { PERIODS, METRICS, getPeriodStart, pickActivityReadings, buildLeaderboard } from './lib/leaderboard';
+import { Spinner } from './Spinner';
+import { PillButton } from './PillButton';
+
+const DATABASE_ID = '69617178003ac8ef4fba';
+const USER_ACTIVITY_COLLECTION = 'user_activity';
+const PAGE_SIZE = 100;
+
+const RankMovement = ({ rank, previousRank }) => {
+  if (previousRank === null) {
+    return <span className="text-xs font-semibold text-[#FD366E]">nowy</span>;
+  }
+  const change = previousRank - rank;
+  if (change > 0) return <span className="text-xs font-semibold text-[#4CBB17]">▲ {change}</span>;
+  if (change < 0) return <span className="text-xs font-semibold text-[#ef4444]">▼ {-change}</span>;
+  return <span className="text-xs text-[#97979B]">-</span>;
+};
+
+RankMovement.propTypes = {
+  rank: PropTypes.number.isRequired,
+  previousRank: PropTypes.number,
+};
+
+export function RankingPage({ currentTag, onTagChange }) {
+  const [readings, setReadings] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [period, setPeriod] = useState('week');
+  const [metric, setMetric] = useState('combined');
+
+  useEffect(() => {
+    async function fetchActivity() {
+      setLoading(true);
+      try {
+        // Only the rows of the period and the one before it; all-time rankings page through the whole table
+        const periodStart = getPeriodStart(period);
+        const rows = [];
+        let cursor = null;
+        while (true) {
+          const response = await tablesDB.listRows({
+            databaseId: DATABASE_ID,
+            tableId: USER_ACTIVITY_COLLECTION,
+            queries: [
+              Query.equal('tag', currentTag),
+              ...(periodStart ? [Query.greaterThanEqual('$createdAt', periodStart.toISOString())] : []),
+              Query.select(['$id', '$createdAt', 'counts', 'windowStart', 'windowEnd']),
+              Query.orderAsc('$createdAt'),
+              Query.limit(PAGE_SIZE),
+              ...(cursor ? [Query.cursorAfter(cursor)] : [])
+            ]
+          });
+          rows.push(...response.rows);
+          if (response.rows.length < PAGE_SIZE) break;
+          cursor = response.rows[response.rows.length - 1].$id;
+        }
+
+        setReadings(pickActivityReadings(rows));
+      } catch (err) {
+        console.error('Error fetching user activity:', err);
+        setReadings([]);
+      } finally {
+        setLoading(false);
+      }
+    }
+    fetchActivity();
+  }, [currentTag, period]);
+
+  const leaderboard = buildLeaderboard(readings, period, metric);
+
+  return (
+    <section className="mt-2 w-full max-w-4xl">
+      <TagSwitcher currentTag={currentTag} onChange={onTagChange} />
+
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        {Object.entries(PERIODS).map(([id, { label }]) => (
+          <PillButton key={id} active={period === id} onClick={() => setPeriod(id)}>{label}</PillButton>
+        ))}
+        <span className="mx-1 text-[#EDEDF0]">|</span>
+        {Object.entries(METRICS).map(([id, { label }]) => (
+          <PillButton key={id} active={metric === id} onClick={() => setMetric(id)}>{label}</PillButton>
+        ))}
+      </div>
+
+      {loading ? (
+        <Spinner label="Ładowanie rankingu..." />
+      ) : leaderboard.length === 0 ? (
+        <div className="text-center p-8 border border-[#EDEDF0] rounded-md bg-white">
+          <p className="text-[#97979B]">Brak danych o aktywności użytkowników</p>
+        </div>
+      ) : (
+        <>
+          <div className="overflow-x-auto rounded-md border border-[#EDEDF0]">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="bg-gray-50 border-b border-[#EDEDF0]">
+                  <th className="text-right px-3 py-2 font-semibold text-[#97979B] w-12">#</th>
+                  <th className="text-left px-3 py-2 font-semibold text-[#97979B]">Użytkownik</th>
+                  <th className="text-right px-3 py-2 font-semibold text-[#97979B]">Wpisy</th>
+                  <th className="text-right px-3 py-2 font-semibold text-[#97979B]">Komentarze</th>
+                  <th className="text-right px-3 py-2 font-semibold text-[#97979B]">Razem</th>
+                  <th className="text-right px-3 py-2 font-semibold text-[#97979B] w-16">Zmiana</th>
+                </tr>
+              </thead>
+              <tbody>
+                {leaderboard.map(user => (
+                  <tr key={user.username} className="border-b border-[#EDEDF0] last:border-0 hover:bg-gray-50 transition-colors">
+                    <td className="px-3 py-2 text-right text-[#97979B]">{user.rank}</td>
+                    <td className="px-3 py-2">
+                      <a
+                        href={`https://wykop.pl/ludzie/${user.username}`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="font-bold text-[#2D2D31] hover:text-[#FD366E]"
+                      >
+                        @{user.username}
+                      </a>
+                    </td>
+                    <td className={`px-3 py-2 text-right ${metric === 'entries' ? 'font-semibold text-[#2D2D31]' : 'text-[#97979B]'}`}>{user.entries}</td>
+                    <td className={`px-3 py-2 text-right ${metric === 'comments' ? 'font-semibold text-[#2D2D31]' : 'text-[#97979B]'}`}>{user.comments}</td>
+                    <td className={`px-3 py-2 text-right ${metric === 'combined' ? 'font-semibold text-[#2D2D31]' : 'text-[#97979B]'}`}>{user.combined}</td>
+                    <td className="px-3 py-2 text-right">
+                      <RankMovement rank={user.rank} previousRank={user.previousRank} />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="mt-3 text-xs text-[#97979B]">
+            Zmiana względem {period === 'all' ? 'rankingu sprzed tygodnia' : 'poprzedniego okresu'}. Suma aktywności ze wszystkich odczytów w okresie - każdy odczyt liczy wpisy i komentarze od poprzedniego odczytu tagu, więc nic nie jest liczone dwa razy, a weekendy też się wliczają (po przerwie dłuższej niż 7 dni liczone jest tylko ostatnie 7 dni).
+          </p>
+        </>
+      )}
+    </section>
+  );
+}
+
+RankingPage.propTypes = {
+  currentTag: PropTypes.string.isRequired,
+  onTagChange: PropTypes.func.isRequired,
+};
@@ -0,0 +1,67 @@
+import PropTypes from 'prop-types';
+import { getCorpusDownloadUrl } from './lib/corpus';
+import { SHARING_ENABLED } from './lib/share';
+import { ShareButton } from './ShareButton';
+import { getSentimentColor } from './lib/sentiment';
+
+export function ReadingsList({ readings }) {
+  return (
+    <div className="overflow-x-auto rounded-md border border-[#EDEDF0]">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="bg-gray-50 border-b border-[#EDEDF0]">
+            <th className="text-left px-3 py-2 font-semibold text-[#97979B]">Data</th>
+            <th className="text-right px-3 py-2 font-semibold text-[#97979B]">Sentyment</th>
+            <th className="text-right px-3 py-2 font-semibold text-[#97979B] whitespace-nowrap">Dane źródłowe</th>
+            {SHARING_ENABLED && <th className="text-right px-3 py-2 font-semibold text-[#97979B]">Link</th>}
+          </tr>
+        </thead>
+        <tbody>
+          {readings.map(reading => (
+            <tr key={reading.id} className="border-b border-[#EDEDF0] last:border-0">
+              <td className="px-3 py-2 text-[#2D2D31] whitespace-nowrap">
+                {new Date(reading.createdAt).toLocaleString('pl-PL', {
+                  day: '2-digit',
+                  month: '2-digit',
+                  year: 'numeric',
+                  hour: '2-digit',
+                  minute: '2-digit',
+                  timeZone: 'Europe/Warsaw'
+                })}
+              </td>
+              <td className="px-3 py-2 text-right font-semibold" style={{ color: getSentimentColor(reading.sentiment) }}>
+                {reading.sentiment}
+              </td>
+              <td className="px-3 py-2 text-right">
+                {reading.corpusFileId ? (
+                  <a
+                    href={getCorpusDownloadUrl(reading.corpusFileId)}
+                    className="text-[#FD366E] hover:underline"
+                  >
+                    Pobierz (.json.gz)
+                  </a>
+                ) : (
+                  <span className="text-[#97979B]">-</span>
+                )}
+              </td>
+              {SHARING_ENABLED && (
+                <td className="px-3 py-2 text-right">
+                  <ShareButton readingId={reading.id} />
+                </td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+ReadingsList.propTypes = {
+  readings: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    createdAt: PropTypes.string.isRequired,
+    sentiment: PropTypes.number.isRequired,
+    corpusFileId: PropTypes.string,
+  })).isRequired,
+};
@@ -1,8 +1,13 @@
-import { useEffect, useRef } from 'react';
-import { createChart, BaselineSeries } from 'lightweight-charts';
+import { useEffect, useRef, useState } from 'react';
+import { createChart, BaselineSeries, LineSeries, createSeriesMarkers } from 'lightweight-charts';
 import PropTypes from 'prop-types';
+import { BENCHMARKS, fetchDailyCloses } from './lib/prices';
+import { NO_ANOMALIES, buildAnomalyMarkers } from './lib/anomalies';
+import { PillButton } from './PillButton';
 
-export function SentimentLineChart({ data }) {
+const BENCHMARK_COLOR = '#3b82f6';
+
+export function SentimentLineChart({ data, overlay = null, anomalies = NO_ANOMALIES }) {
   const chartContainerRef = useRef();
   const chartRef = useRef();
   const tooltipRef = useRef();
@@ -48,6 +53,10 @@ export function SentimentLineChart({ data }) {
           return `${day}`;
         },
       },
+      leftPriceScale: {
+        borderColor: '#EDEDF0',
+        visible: Boolean(overlay),
+      },
       rightPriceScale: {
         borderColor: '#EDEDF0',
         scaleMargins: {
@@ -103,6 +112,22 @@ export function SentimentLineChart({ data }) {
     });
 
     sentimentSeries.setData(sentimentData);
+    createSeriesMarkers(sentimentSeries, buildAnomalyMarkers(sentimentData, data, anomalies, 'sentiment'));
+
+    // Benchmark closes on their own (left) scale, limited to the period covered by the index
+    let benchmarkSeries = null;
+    if (overlay && sentimentData.length > 0) {
+      benchmarkSeries = chart.addSeries(LineSeries, {
+        priceScaleId: 'left',
+        color: BENCHMARK_COLOR,
+        lineWidth: 1,
+        priceLineVisible: false,
+        lastValueVisible: false,
+      });
+      benchmarkSeries.setData(overlay.closes
+        .map(row => ({ time: Math.floor(new Date(`${row.date}T00:00:00Z`).getTime() / 1000), value: row.close }))
+        .filter(point => point.time >= sentimentData[0].time));
+    }
 
     // Create tooltip element
     const toolTip = document.createElement('div');
@@ -163,8 +188,9 @@ export function SentimentLineChart({ data }) {
       }
 
       const sentimentData = param.seriesData.get(sentimentSeries);
+      const benchmarkData = benchmarkSeries ? param.seriesData.get(benchmarkSeries) : null;
 
-      if (!sentimentData) {
+      if (!sentimentData && !benchmarkData) {
         toolTip.style.display = 'none';
         return;
       }
@@ -182,6 +208,9 @@ export function SentimentLineChart({ data }) {
       if (sentimentData) {
         html += `<div>Krach & Śmieciuch Index: <span style="font-weight: 500;">${sentimentData.value.toFixed(2)}</span></div>`;
       }
+      if (benchmarkData) {
+        html += `<div>${overlay.name}: <span style="font-weight: 500; color: ${BENCHMARK_COLOR};">${benchmarkData.value.toLocaleString('pl-PL', { maximumFractionDigits: 2 })}</span></div>`;
+      }
       
       toolTip.innerHTML = html;
 
@@ -218,28 +247,59 @@ export function SentimentLineChart({ data }) {
         chartRef.current = null;
       }
     };
-  }, [data]);
+  }, [data, overlay, anomalies]);
 
   return <div ref={chartContainerRef} className="relative w-full" />;
 }
 
 // Create legend HTML
-function createLegend() {
+function createLegend(overlay) {
   return (
     <div className="flex items-center justify-center gap-4 mt-2 text-sm">
       <div className="flex items-center gap-2">
         <div className="w-4 h-0.5 bg-[#4CBB17]"></div>
         <span className="text-[#2D2D31]">Krach & Śmieciuch Index</span>
       </div>
+      {overlay && (
+        <div className="flex items-center gap-2">
+          <div className="w-4 h-0.5" style={{ backgroundColor: BENCHMARK_COLOR }}></div>
+          <span className="text-[#2D2D31]">{overlay.name} (lewa oś)</span>
+        </div>
+      )}
     </div>
   );
 }
 
-export function SentimentLineChartWithLegend({ data }) {
+export function SentimentLineChartWithLegend({ data, anomalies = NO_ANOMALIES }) {
+  const [benchmark, setBenchmark] = useState(null);
+  const [overlay, setOverlay] = useState(null);
+
+  useEffect(() => {
+    if (!benchmark) return;
+    async function fetchOverlay() {
+      try {
+        const closes = await fetchDailyCloses(benchmark);
+        setOverlay({ benchmark, name: BENCHMARKS[benchmark].name, closes });
+      } catch (err) {
+        console.error('Error fetching benchmark closes:', err);
+      }
+    }
+    fetchOverlay();
+  }, [benchmark]);
+
+  // Keep showing the index alone until the selected benchmark has loaded
+  const activeOverlay = benchmark && overlay?.benchmark === benchmark ? overlay : null;
+
   return (
     <div>
-      <SentimentLineChart data={data} />
-      {createLegend()}
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        <PillButton active={benchmark === null} onClick={() => setBenchmark(null)}>Sam indeks</PillButton>
+        {Object.entries(BENCHMARKS).map(([id, { name }]) => (
+          <PillButton key={id} active={benchmark === id} onClick={() => setBenchmark(id)}>{name}</PillButton>
+        ))}
+      </div>
+      <SentimentLineChart data={data} overlay={activeOverlay} anomalies={anomalies} />
+      {createLegend(activeOverlay)}
     </div>
   );
 }
@@ -250,6 +310,11 @@ SentimentLineChartWithLegend.propTypes = {
     sentiment: PropTypes.number.isRequired,
     timestamp: PropTypes.string.isRequired,
   })).isRequired,
+  anomalies: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.shape({
+    metric: PropTypes.string.isRequired,
+    zScore: PropTypes.number.isRequired,
+    direction: PropTypes.string.isRequired,
+  }))),
 };
 
 SentimentLineChart.propTypes = {
@@ -258,4 +323,17 @@ SentimentLineChart.propTypes = {
     sentiment: PropTypes.number.isRequired,
     timestamp: PropTypes.string.isRequired,
   })).isRequired,
+  overlay: PropTypes.shape({
+    benchmark: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    closes: PropTypes.arrayOf(PropTypes.shape({
+      date: PropTypes.string.isRequired,
+      close: PropTypes.number.isRequired,
+    })).isRequired,
+  }),
+  anomalies: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.shape({
+    metric: PropTypes.string.isRequired,
+    zScore: PropTypes.number.isRequired,
+    direction: PropTypes.string.isRequired,
+  }))),
 };
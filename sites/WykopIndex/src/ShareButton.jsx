@@ -0,0 +1,36 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { getShareUrl } from './lib/share';
+
+// Copies the reading's share link; links shared on Wykop or social media show the reading's card
+export function ShareButton({ readingId, className = '' }) {
+  const [copied, setCopied] = useState(false);
+  const shareUrl = getShareUrl(readingId);
+
+  if (!shareUrl) return null;
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrl);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      window.open(shareUrl, '_blank', 'noopener');
+    }
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={copyLink}
+      className={`text-[#FD366E] hover:underline ${className}`}
+    >
+      {copied ? 'Skopiowano link' : 'Udostępnij'}
+    </button>
+  );
+}
+
+ShareButton.propTypes = {
+  readingId: PropTypes.string.isRequired,
+  className: PropTypes.string,
+};
@@ -0,0 +1,18 @@
+import PropTypes from 'prop-types';
+import { TAGS } from './lib/tags';
+import { PillButton } from './PillButton';
+
+export function TagSwitcher({ currentTag, onChange }) {
+  return (
+    <div className="flex flex-wrap gap-2 mb-2">
+      {TAGS.map(tag => (
+        <PillButton key={tag} active={currentTag === tag} onClick={() => onChange(tag)}>#{tag}</PillButton>
+      ))}
+    </div>
+  );
+}
+
+TagSwitcher.propTypes = {
+  currentTag: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+};
@@ -0,0 +1,47 @@
+// Hit rates of the "Topowi analitycy" calls. Neutral calls and calls not yet scored for
+// a horizon have no hit value and are left out.
+
+export const HORIZONS = {
+  '1d': { label: '1 dzień' },
+  '1w': { label: '1 tydzień' },
+  '1m': { label: '1 miesiąc' },
+};
+
+const DIRECTIONS = { BULLISH: 1, BEARISH: -1 };
+
+/**
+ * Rank users by the share of their calls that matched the benchmark move over a horizon.
+ * @param {object[]} calls  Rows of the analyst_calls table
+ * @param {'1d'|'1w'|'1m'} horizon
+ * @param {number} minCalls  Users with fewer scored calls are left out
+ * @returns {{ username: string, calls: number, hits: number, hitRate: number, avgReturn: number, rank: number }[]}
+ */
+export const buildAnalystStats = (calls, horizon, minCalls) => {
+  const stats = new Map();
+  for (const call of calls) {
+    const hit = call[`hit${horizon}`];
+    if (hit === null || hit === undefined) continue;
+
+    const stat = stats.get(call.username) ?? { username: call.username, calls: 0, hits: 0, returnSum: 0 };
+    stat.calls++;
+    if (hit) stat.hits++;
+    // Benchmark move in the direction of the call, so a good bearish call counts as a gain
+    stat.returnSum += (call[`return${horizon}`] ?? 0) * (DIRECTIONS[call.label] ?? 0);
+    stats.set(call.username, stat);
+  }
+
+  const sorted = [...stats.values()]
+    .filter(stat => stat.calls >= minCalls)
+    .map(({ returnSum, ...stat }) => ({
+      ...stat,
+      hitRate: Math.round(stat.hits / stat.calls * 100),
+      avgReturn: Math.round(returnSum / stat.calls * 100) / 100,
+    }))
+    .sort((a, b) => b.hitRate - a.hitRate || b.calls - a.calls || a.username.localeCompare(b.username));
+
+  let rank = 0;
+  return sorted.map((stat, index) => {
+    if (index === 0 || stat.hitRate !== sorted[index - 1].hitRate || stat.calls !== sorted[index - 1].calls) rank = index + 1;
+    return { ...stat, rank };
+  });
+};
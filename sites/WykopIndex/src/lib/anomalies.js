@@ -0,0 +1,44 @@
+// Anomalies flagged by wykop-index on a reading (column `anomalies`), shown as chart markers.
+
+const ANOMALY_COLOR = '#FD366E';
+
+// Stable default for chart props, so charts are not recreated on every render
+export const NO_ANOMALIES = {};
+
+/**
+ * Collect the anomalies of every reading by chart date (DD.MM).
+ * @param {{ $createdAt: string, anomalies?: string|null }[]} rows
+ * @param {(date: string) => string} formatDate  Same formatter the chart data uses
+ * @returns {Record<string, { metric: string, value: number, mean: number, zScore: number, percentile: number, direction: 'up'|'down' }[]>}
+ */
+export const groupAnomaliesByDate = (rows, formatDate) => rows
+  .filter(row => row.anomalies?.startsWith('['))
+  .reduce((acc, row) => {
+    const date = formatDate(row.$createdAt);
+    acc[date] = [...(acc[date] || []), ...JSON.parse(row.anomalies)];
+    return acc;
+  }, {});
+
+/**
+ * Build lightweight-charts markers for one metric, using the strongest anomaly of each day.
+ * @param {{ time: number }[]} points  Series data
+ * @param {{ date: string }[]} items  Chart items the points were built from (same order)
+ * @param {ReturnType<typeof groupAnomaliesByDate>} anomaliesByDate
+ * @param {string} metric
+ * @returns {object[]}
+ */
+export const buildAnomalyMarkers = (points, items, anomaliesByDate, metric) => points.flatMap((point, index) => {
+  const anomaly = (anomaliesByDate[items[index].date] || [])
+    .filter(item => item.metric === metric)
+    .sort((a, b) => Math.abs(b.zScore) - Math.abs(a.zScore))[0];
+  if (!anomaly) return [];
+
+  const up = anomaly.direction === 'up';
+  return [{
+    time: point.time,
+    position: up ? 'aboveBar' : 'belowBar',
+    shape: up ? 'arrowDown' : 'arrowUp',
+    color: ANOMALY_COLOR,
+    text: `z ${anomaly.zScore.toFixed(1)}`,
+  }];
+});
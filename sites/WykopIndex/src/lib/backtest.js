@@ -0,0 +1,110 @@
+import { getCloseTimes, findLastClosedIndex, findCloseOnOrAfter } from './prices';
+
+// Contrarian backtest: does the index predict the next move of a market?
+// Each day is represented by its latest reading. Returns are measured from the last close whose
+// session had ended at the time of the reading to the first later close at least N days later,
+// the same convention used to score analyst calls.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const BACKTEST_HORIZONS = [
+  { id: '1d', label: '1 dzień', days: 1 },
+  { id: '1w', label: '1 tydzień', days: 7 },
+  { id: '1m', label: '1 miesiąc', days: 30 },
+];
+
+export const SENTIMENT_BUCKETS = [
+  { label: '1-20', min: 1, max: 20 },
+  { label: '21-40', min: 21, max: 40 },
+  { label: '41-60', min: 41, max: 60 },
+  { label: '61-80', min: 61, max: 80 },
+  { label: '81-100', min: 81, max: 100 },
+];
+
+const toIsoDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+/**
+ * Pearson correlation coefficient, or null when it is undefined.
+ * @param {number[]} xs
+ * @param {number[]} ys
+ * @returns {number|null}
+ */
+export const pearson = (xs, ys) => {
+  const n = xs.length;
+  if (n < 3) return null;
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (let i = 0; i < n; i++) {
+    covariance += (xs[i] - meanX) * (ys[i] - meanY);
+    varianceX += (xs[i] - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  }
+  if (varianceX === 0 || varianceY === 0) return null;
+  return covariance / Math.sqrt(varianceX * varianceY);
+};
+
+/**
+ * Join daily readings with forward returns of a benchmark.
+ * @param {{ $createdAt: string, sentiment: number }[]} readings  Sentiment rows, oldest first
+ * @param {{ date: string, close: number }[]} closes  Daily closes, oldest first
+ * @param {string} benchmark  Key of BENCHMARKS
+ * @returns {{ date: string, sentiment: number, returns: Record<string, number|null> }[]}
+ */
+export const joinForwardReturns = (readings, closes, benchmark) => {
+  const byDay = new Map();
+  for (const reading of readings) {
+    byDay.set(toIsoDate(reading.$createdAt), reading);
+  }
+
+  // Session ends are computed once; each reading then only needs binary searches
+  const closeTimes = getCloseTimes(closes, benchmark);
+  return [...byDay.entries()].flatMap(([day, reading]) => {
+    const time = new Date(reading.$createdAt).getTime();
+    const baseIndex = findLastClosedIndex(closeTimes, time);
+    if (baseIndex < 0) return [];
+    const base = closes[baseIndex];
+
+    const returns = Object.fromEntries(BACKTEST_HORIZONS.map(({ id, days }) => {
+      const target = closes[findCloseOnOrAfter(closes, toIsoDate(time + days * DAY_MS), baseIndex + 1)];
+      return [id, target ? (target.close - base.close) / base.close * 100 : null];
+    }));
+    return [{ date: day, sentiment: reading.sentiment, returns }];
+  });
+};
+
+/**
+ * Average forward returns by sentiment bucket and the correlation of sentiment with each horizon.
+ * A negative correlation means the index works as a contrarian signal.
+ * @param {ReturnType<typeof joinForwardReturns>} samples
+ * @returns {{
+ *   buckets: { label: string, count: number, horizons: Record<string, { count: number, avgReturn: number|null, upShare: number|null }> }[],
+ *   correlations: Record<string, { count: number, value: number|null }>
+ * }}
+ */
+export const runBacktest = (samples) => {
+  const buckets = SENTIMENT_BUCKETS.map(bucket => {
+    const inBucket = samples.filter(sample => sample.sentiment >= bucket.min && sample.sentiment <= bucket.max);
+    const horizons = Object.fromEntries(BACKTEST_HORIZONS.map(({ id }) => {
+      const returns = inBucket.map(sample => sample.returns[id]).filter(value => value !== null);
+      return [id, {
+        count: returns.length,
+        avgReturn: returns.length > 0 ? returns.reduce((sum, value) => sum + value, 0) / returns.length : null,
+        upShare: returns.length > 0 ? returns.filter(value => value > 0).length / returns.length * 100 : null,
+      }];
+    }));
+    return { label: bucket.label, count: inBucket.length, horizons };
+  });
+
+  const correlations = Object.fromEntries(BACKTEST_HORIZONS.map(({ id }) => {
+    const scored = samples.filter(sample => sample.returns[id] !== null);
+    return [id, {
+      count: scored.length,
+      value: pearson(scored.map(sample => sample.sentiment), scored.map(sample => sample.returns[id])),
+    }];
+  }));
+
+  return { buckets, correlations };
+};
@@ -0,0 +1,6 @@
+import { storage } from './appwrite';
+
+const BUCKET_ID = '6961715000182498a35a';
+
+// Gzipped JSON with the posts and raw AI response a reading was computed from
+export const getCorpusDownloadUrl = (corpusFileId) => storage.getFileDownload(BUCKET_ID, corpusFileId);
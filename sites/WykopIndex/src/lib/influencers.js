@@ -0,0 +1,97 @@
+import { pearson } from './backtest';
+import { buildAnalystStats } from './analysts';
+
+// Stances of the tracked YouTube channels next to the index of their tag. Both are bucketed
+// by UTC day: the index is the average of the day's readings, a video counts on its publish day.
+
+export const INFLUENCER_COLORS = ['#3b82f6', '#a855f7', '#f97316', '#14b8a6', '#ec4899', '#84cc16'];
+
+const toDayTime = (date) => {
+  const day = new Date(date);
+  return Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()) / 1000;
+};
+
+const averageByDay = (items, getDate, getValue) => {
+  const days = new Map();
+  for (const item of items) {
+    const time = toDayTime(getDate(item));
+    const day = days.get(time) ?? { time, sum: 0, count: 0 };
+    day.sum += getValue(item);
+    day.count++;
+    days.set(time, day);
+  }
+  return [...days.values()]
+    .sort((a, b) => a.time - b.time)
+    .map(day => ({ time: day.time, value: Math.round(day.sum / day.count) }));
+};
+
+/**
+ * Daily index of a tag.
+ * @param {{ $createdAt: string, sentiment: number }[]} readings  Sentiment rows
+ * @returns {{ time: number, value: number }[]}
+ */
+export const buildDailyIndex = (readings) => averageByDay(readings, reading => reading.$createdAt, reading => reading.sentiment);
+
+/**
+ * Group analysed videos by channel and compare each channel with the index on its publish days.
+ * @param {object[]} rows  Rows of the influencers table
+ * @param {{ time: number, value: number }[]} dailyIndex
+ * @returns {{
+ *   influencer: string, name: string, color: string, videos: object[], history: { time: number, value: number }[],
+ *   avgScore: number, avgGap: number|null, correlation: number|null
+ * }[]}
+ */
+export const buildInfluencerStats = (rows, dailyIndex) => {
+  const indexByDay = new Map(dailyIndex.map(point => [point.time, point.value]));
+  const byInfluencer = new Map();
+  for (const row of rows) {
+    const videos = byInfluencer.get(row.influencer) ?? [];
+    videos.push(row);
+    byInfluencer.set(row.influencer, videos);
+  }
+
+  return [...byInfluencer.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([influencer, videos], index) => {
+      const history = averageByDay(videos, video => video.publishedAt ?? video.$createdAt, video => video.score);
+      const paired = history.filter(point => indexByDay.has(point.time));
+      const gaps = paired.map(point => point.value - indexByDay.get(point.time));
+      return {
+        influencer,
+        name: videos.at(-1).name,
+        color: INFLUENCER_COLORS[index % INFLUENCER_COLORS.length],
+        videos: [...videos].reverse(),
+        history,
+        avgScore: Math.round(videos.reduce((sum, video) => sum + video.score, 0) / videos.length),
+        avgGap: gaps.length > 0 ? Math.round(gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length) : null,
+        correlation: pearson(paired.map(point => point.value), paired.map(point => indexByDay.get(point.time))),
+      };
+    });
+};
+
+/**
+ * Hit rates of the predicted directions, scored like analyst calls, and of betting against them.
+ * A fade hit rate above 50% means doing the opposite of the channel would have worked.
+ * @param {object[]} rows  Rows of the influencers table
+ * @param {'1d'|'1w'|'1m'} horizon
+ * @returns {{ username: string, calls: number, hits: number, hitRate: number, avgReturn: number, fadeHitRate: number, fadeReturn: number }[]}
+ */
+export const buildFadeStats = (rows, horizon) => buildAnalystStats(
+  rows.map(row => ({ ...row, username: row.name, label: row.direction })),
+  horizon,
+  1
+).map(stat => ({ ...stat, fadeHitRate: 100 - stat.hitRate, fadeReturn: -stat.avgReturn }));
+
+/**
+ * Tickers stored as a JSON array; malformed values are treated as none.
+ * @param {string|null} tickers
+ * @returns {string[]}
+ */
+export const parseTickers = (tickers) => {
+  try {
+    const parsed = JSON.parse(tickers ?? '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
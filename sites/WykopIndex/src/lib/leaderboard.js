@@ -0,0 +1,103 @@
+// Every run stores the activity since the previous run of the tag (windowStart-windowEnd), so the windows
+// do not overlap and the leaderboards sum all of them. Older rows counted the 24h before the run and overlap,
+// so of those only the latest of each UTC day is kept.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const PERIODS = {
+  week: { label: 'Tydzień', days: 7 },
+  month: { label: 'Miesiąc', days: 30 },
+  all: { label: 'Od początku', days: null },
+};
+
+export const METRICS = {
+  combined: { label: 'Ogółem' },
+  entries: { label: 'Wpisy' },
+  comments: { label: 'Komentarze' },
+};
+
+const getUTCDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Start of the rows a period needs, including the previous period for the rank movement; null for all time.
+ * @param {'week'|'month'|'all'} period
+ * @param {number} [now]
+ * @returns {Date|null}
+ */
+export const getPeriodStart = (period, now = Date.now()) => {
+  const days = PERIODS[period].days;
+  return days ? new Date(now - 2 * days * DAY_MS) : null;
+};
+
+/**
+ * Parse the counts of every run, keeping only the latest of the overlapping 24h rows of each UTC day.
+ * @param {{ $createdAt: string, counts: string, windowStart?: string|null, windowEnd?: string|null }[]} rows
+ *   Rows of the user_activity table, oldest first
+ * @returns {{ time: number, counts: Record<string, [number, number]> }[]}
+ */
+export const pickActivityReadings = (rows) => {
+  const windowed = rows.filter(row => row.windowEnd);
+  // 24h rows stop where the first non-overlapping window starts
+  const firstWindowStart = windowed.length > 0 ? new Date(windowed[0].windowStart ?? windowed[0].windowEnd).getTime() : Infinity;
+  const byDay = new Map();
+  for (const row of rows) {
+    if (!row.windowEnd && new Date(row.$createdAt).getTime() <= firstWindowStart) byDay.set(getUTCDay(row.$createdAt), row);
+  }
+  return [...byDay.values(), ...windowed].map(row => ({
+    time: new Date(row.windowEnd ?? row.$createdAt).getTime(),
+    counts: row.counts?.startsWith('{') ? JSON.parse(row.counts) : {},
+  }));
+};
+
+const rankReadings = (readings, metric) => {
+  const totals = new Map();
+  for (const reading of readings) {
+    for (const [username, [entries, comments]] of Object.entries(reading.counts)) {
+      const total = totals.get(username) ?? { username, entries: 0, comments: 0, combined: 0 };
+      total.entries += entries;
+      total.comments += comments;
+      total.combined += entries + comments;
+      totals.set(username, total);
+    }
+  }
+
+  const sorted = [...totals.values()]
+    .filter(total => total[metric] > 0)
+    .sort((a, b) => b[metric] - a[metric] || a.username.localeCompare(b.username));
+
+  // Users with equal totals share a rank
+  let rank = 0;
+  return sorted.map((total, index) => {
+    if (index === 0 || total[metric] !== sorted[index - 1][metric]) rank = index + 1;
+    return { ...total, rank };
+  });
+};
+
+/**
+ * Build a leaderboard for a period with rank movement against the previous period
+ * (for all-time: against the standings from a week ago).
+ * @param {{ time: number, counts: Record<string, [number, number]> }[]} readings  Output of pickActivityReadings
+ * @param {'week'|'month'|'all'} period
+ * @param {'combined'|'entries'|'comments'} metric
+ * @param {number} [limit]
+ * @returns {{ username: string, entries: number, comments: number, combined: number, rank: number, previousRank: number|null }[]}
+ */
+export const buildLeaderboard = (readings, period, metric, limit = 50) => {
+  const now = Date.now();
+  const days = PERIODS[period].days;
+
+  let current;
+  let previous;
+  if (days) {
+    current = readings.filter(reading => reading.time > now - days * DAY_MS);
+    previous = readings.filter(reading => reading.time > now - 2 * days * DAY_MS && reading.time <= now - days * DAY_MS);
+  } else {
+    current = readings;
+    previous = readings.filter(reading => reading.time <= now - 7 * DAY_MS);
+  }
+
+  const previousRanks = new Map(rankReadings(previous, metric).map(total => [total.username, total.rank]));
+  return rankReadings(current, metric)
+    .slice(0, limit)
+    .map(total => ({ ...total, previousRank: previousRanks.get(total.username) ?? null }));
+};
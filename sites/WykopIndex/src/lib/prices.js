@@ -0,0 +1,131 @@
+import { Query } from "appwrite";
+import { tablesDB } from "./appwrite";
+
+const DATABASE_ID = '69617178003ac8ef4fba';
+const PRICES_COLLECTION = 'prices';
+const PAGE_SIZE = 500;
+
+// Benchmarks synced by the wykop-index function (see functions/wykop-index/src/prices.js)
+// `close` is when the session of a daily close ends, in the market's time zone; a BTC day closes at midnight UTC
+export const BENCHMARKS = {
+  wig20: { name: 'WIG20', close: { timeZone: 'Europe/Warsaw', time: '17:05' } },
+  sp500: { name: 'S&P 500', close: { timeZone: 'America/New_York', time: '16:00' } },
+  btc: { name: 'BTC/USD', close: { timeZone: 'UTC', time: '24:00' } },
+};
+
+// The close helpers below (getCloseTime to getBaseClose) are copies of functions/wykop-index/src/prices.js, which
+// scores analyst calls; the site cannot import from the function package, so both copies must follow the same rule.
+
+// Formatters of the market time zones, created once: building one per call dominated the backtest
+const zoneFormatters = new Map();
+
+const getZoneFormatter = (timeZone) => {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+    }));
+  }
+  return zoneFormatters.get(timeZone);
+};
+
+/**
+ * Moment the session of a daily close ended.
+ * @param {string} benchmark  Key of BENCHMARKS
+ * @param {string} date  YYYY-MM-DD
+ * @returns {number}  Timestamp in ms
+ */
+export const getCloseTime = (benchmark, date) => {
+  const { timeZone, time } = BENCHMARKS[benchmark].close;
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+  // Offset of the market's time zone at that moment (DST changes happen at night, far from the close)
+  const parts = Object.fromEntries(getZoneFormatter(timeZone).formatToParts(wallClock).map(part => [part.type, part.value]));
+  const zoned = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  return wallClock - (zoned - wallClock);
+};
+
+/**
+ * Session-end times of closes, computed once per benchmark and shared by every lookup below.
+ * @param {{ date: string }[]} closes  Sorted by date
+ * @param {string} benchmark  Key of BENCHMARKS
+ * @returns {number[]}
+ */
+export const getCloseTimes = (closes, benchmark) => closes.map(row => getCloseTime(benchmark, row.date));
+
+/**
+ * Index of the last close whose session had ended at a given moment, or -1.
+ * @param {number[]} closeTimes  Output of getCloseTimes
+ * @param {number} at  Timestamp in ms
+ * @returns {number}
+ */
+export const findLastClosedIndex = (closeTimes, at) => {
+  let low = 0;
+  let high = closeTimes.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (closeTimes[middle] <= at) low = middle + 1;
+    else high = middle;
+  }
+  return low - 1;
+};
+
+/**
+ * Index of the first close from `start` on dated on or after a day, or closes.length.
+ * @param {{ date: string }[]} closes  Sorted by date
+ * @param {string} day  YYYY-MM-DD
+ * @param {number} start
+ * @returns {number}
+ */
+export const findCloseOnOrAfter = (closes, day, start) => {
+  let low = start;
+  let high = closes.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (closes[middle].date < day) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+};
+
+/**
+ * Last close whose session had ended at a given moment, the reference price of a reading made then.
+ * @param {{ date: string, close: number }[]} closes  Sorted by date
+ * @param {number[]} closeTimes  Output of getCloseTimes
+ * @param {Date} at
+ * @returns {{ date: string, close: number }|undefined}
+ */
+export const getBaseClose = (closes, closeTimes, at) => closes[findLastClosedIndex(closeTimes, at.getTime())];
+
+/**
+ * Fetch all stored daily closes of a benchmark, oldest first.
+ * @param {string} benchmark
+ * @returns {Promise<{ date: string, close: number }[]>}
+ */
+export const fetchDailyCloses = async (benchmark) => {
+  const closes = [];
+  let cursor = null;
+  while (true) {
+    const response = await tablesDB.listRows({
+      databaseId: DATABASE_ID,
+      tableId: PRICES_COLLECTION,
+      queries: [
+        Query.equal('benchmark', benchmark),
+        Query.select(['$id', 'date', 'close']),
+        Query.orderAsc('date'),
+        Query.limit(PAGE_SIZE),
+        ...(cursor ? [Query.cursorAfter(cursor)] : [])
+      ]
+    });
+    closes.push(...response.rows.map(row => ({ date: row.date, close: row.close })));
+    if (response.rows.length < PAGE_SIZE) break;
+    cursor = response.rows[response.rows.length - 1].$id;
+  }
+  return closes;
+};
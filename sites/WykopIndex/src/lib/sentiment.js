@@ -0,0 +1,8 @@
+// Zone colours of the index, the same as in the Wykop posts (see functions/wykop-index/src/utils.js)
+export const getSentimentColor = (sentiment) => {
+  if (sentiment <= 20) return '#b91c1c';
+  if (sentiment <= 40) return '#ef4444';
+  if (sentiment <= 60) return '#FFBF00';
+  if (sentiment <= 80) return '#4CBB17';
+  return '#008000';
+};
@@ -0,0 +1,9 @@
+// Share links point at the /share route of the wykop-media function, which serves the reading's Open Graph tags
+const MEDIA_URL = import.meta.env.VITE_MEDIA_URL?.replace(/\/+$/, '') || null;
+
+export const getShareUrl = (readingId) => MEDIA_URL ? `${MEDIA_URL}/share/${readingId}` : null;
+
+// Reading opened from a share link (?reading=<id>), shown on the home page instead of the latest one
+export const getReadingFromUrl = () => new URLSearchParams(window.location.search).get('reading');
+
+export const SHARING_ENABLED = MEDIA_URL !== null;
@@ -0,0 +1,22 @@
+import { Query } from "appwrite";
+
+// Tags with their own index; the default tag also owns rows written before the tag column existed
+export const TAGS = ['gielda', 'kryptowaluty', 'inwestycje', 'nieruchomosci'];
+export const DEFAULT_TAG = 'gielda';
+
+// Market each tag's index is compared against by default on the charts page
+export const TAG_BENCHMARKS = {
+  gielda: 'wig20',
+  kryptowaluty: 'btc',
+  inwestycje: 'sp500',
+  nieruchomosci: 'wig20',
+};
+
+export const getTagFromUrl = () => {
+  const tag = new URLSearchParams(window.location.search).get('tag');
+  return TAGS.includes(tag) ? tag : DEFAULT_TAG;
+};
+
+export const tagQuery = (tag) => tag === DEFAULT_TAG
+  ? Query.or([Query.equal('tag', tag), Query.isNull('tag')])
+  : Query.equal('tag', tag);